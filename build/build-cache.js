@@ -0,0 +1,90 @@
+/**
+ * 增量构建的缓存，以文件内容的哈希作为key，内容没有变化的markdown不需要重新解析与渲染
+ * 缓存保存在 .cache/build-cache.json 中，删除这个文件或者使用 --no-cache 参数即可完整构建
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const cacheFile = './.cache/build-cache.json';
+
+// 渲染结果依赖的源码，这些文件变化之后所有的缓存都需要失效，validate.js 中的属性校验的结果也会被缓存
+const libDir = path.join(__dirname, '..', 'lib');
+const extensionsDir = path.join(libDir, 'markdown-extensions');
+const rendererSources = [
+    path.join(__dirname, 'generate-articles.js'),
+    path.join(__dirname, 'markdown-renderer.js'),
+    path.join(__dirname, 'collections.js'),
+    path.join(__dirname, 'validate.js'),
+    path.join(libDir, 'marked.esm.js'),
+    path.join(libDir, 'markdown-renderer.js'),
+    path.join(libDir, 'heading-anchors.js'),
+    path.join(libDir, 'html.js'),
+    path.join(libDir, 'link-resolver.js'),
+    path.join(libDir, 'katex', 'katex.mjs'),
+    ...fs.readdirSync(extensionsDir).map(file => path.join(extensionsDir, file))
+];
+
+/**
+ * 计算内容的哈希
+ * @param parts {Array<string|Buffer>}
+ * @return {string}
+ */
+const hashContent = (...parts) => {
+    const hash = crypto.createHash('sha1');
+    parts.forEach(part => hash.update(part));
+    return hash.digest('hex');
+}
+
+/**
+ * 加载构建缓存
+ * @param [options] {{enabled?: boolean, salt?: string}} enabled 为 false 的时候不读取旧的缓存，salt 会参与每一个key的计算，比如集合的配置
+ * @return {{get: function(string, string): *, set: function(string, string, *): void, save: function(): void, stats: {hits: number, misses: number}}}
+ */
+const loadBuildCache = ({enabled = true, salt = ''} = {}) => {
+    const version = hashContent(salt, ...rendererSources.map(file => fs.readFileSync(file)));
+    let entries = {};
+    if (enabled && fs.existsSync(cacheFile)) {
+        try {
+            const data = JSON.parse(fs.readFileSync(cacheFile, 'utf-8'));
+            entries = data.version === version ? data.entries : {};
+        } catch (error) {
+            console.warn(`Ignore broken build cache: ${error.message}`);
+        }
+    }
+    const used = {};
+    const stats = {hits: 0, misses: 0};
+
+    return {
+        stats,
+        /**
+         * 获取缓存，内容有变化的时候返回 undefined
+         * @param key {string} 缓存的key，一般是文件路径
+         * @param content {string} 文件内容
+         */
+        get(key, content) {
+            const entry = entries[key];
+            if (entry && entry.hash === hashContent(content)) {
+                used[key] = entry;
+                stats.hits++;
+                // 返回一个副本，调用方可以随意修改
+                return JSON.parse(JSON.stringify(entry.value));
+            }
+            stats.misses++;
+            return undefined;
+        },
+        set(key, content, value) {
+            used[key] = {hash: hashContent(content), value: JSON.parse(JSON.stringify(value))};
+        },
+        /**
+         * 保存缓存，本次构建中没有用到的条目（比如删除的文件）会被清理掉
+         */
+        save() {
+            fs.mkdirSync(path.dirname(cacheFile), {recursive: true});
+            fs.writeFileSync(cacheFile, JSON.stringify({version, entries: used}));
+        }
+    };
+}
+
+module.exports = {hashContent, loadBuildCache};
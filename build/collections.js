@@ -0,0 +1,88 @@
+/**
+ * 文章集合相关的处理：链接改写、目录页解析、排序与上下篇导航
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {importLib, extractLinks} = require('./markdown-renderer');
+
+/**
+ * 文件在站点中的地址
+ * @param file {string}
+ * @return {string}
+ */
+const toSiteUrl = (file) => '/' + path.relative(path.resolve('.'), path.resolve(file)).split(path.sep).join('/');
+
+/**
+ * 链接改写使用的集合信息，同时写入集合数据中，浏览器端渲染的页面使用同样的信息改写链接
+ * @param collection {Object} 集合配置
+ * @return {{dir: string, path: string, index?: string}}
+ */
+const toLinkCollection = (collection) => ({
+    dir: toSiteUrl(collection.dir) + '/',
+    path: collection.path,
+    ...(collection.index ? {index: collection.index} : {})
+});
+
+/**
+ * 创建链接改写函数，规则见 lib/link-resolver.js
+ * @param collections {Array<Object>} 集合配置
+ * @param fromFile {string} 当前的markdown文件
+ * @return {Promise<function(string): string>}
+ */
+const createLinkResolver = async (collections, fromFile) => {
+    const {createLinkResolver: createResolver} = await importLib('link-resolver.js');
+    return createResolver(collections.map(toLinkCollection), toSiteUrl(fromFile));
+}
+
+/**
+ * 解析集合的目录页，按照目录页中的章节对文章链接进行分组，作为文章页面的侧边栏目录
+ * @param collection {Object} 集合配置
+ * @param articles {Array<Article>} 集合中的文章
+ * @return {Promise<Array<{title: string, items: Array<{title: string, url: string}>}>>}
+ */
+const buildCollectionToc = async (collection, articles) => {
+    const indexFile = path.resolve(collection.dir, collection.index);
+    const resolveLink = await createLinkResolver([collection], indexFile);
+    const urls = new Set(articles.map(article => article.url));
+    const groups = [];
+    for (const link of await extractLinks(fs.readFileSync(indexFile, 'utf-8'))) {
+        const url = resolveLink(link.href);
+        if (!urls.has(url)) {
+            continue;
+        }
+        let group = groups[groups.length - 1];
+        if (!group || group.title !== link.section) {
+            group = {title: link.section, items: []};
+            groups.push(group);
+        }
+        group.items.push({title: link.text, url});
+    }
+    return groups;
+}
+
+/**
+ * 按目录页中出现的顺序对文章排序，没有出现在目录页中的文章按文件名排在最后
+ * @param articles {Array<Article>}
+ * @param toc {Array<{items: Array<{url: string}>}>} 目录
+ */
+const sortByToc = (articles, toc) => {
+    const positions = new Map();
+    toc.flatMap(group => group.items).forEach(item => positions.has(item.url) || positions.set(item.url, positions.size));
+    const position = (article) => positions.has(article.url) ? positions.get(article.url) : Infinity;
+    articles.sort((a, b) => position(a) - position(b) || a.filePath.localeCompare(b.filePath));
+}
+
+/**
+ * 为排好序的文章设置上一篇与下一篇
+ * @param articles {Array<Article>}
+ */
+const linkNeighbours = (articles) => {
+    const summary = (article) => article && {title: article.title, url: article.url};
+    articles.forEach((article, i) => {
+        article.prev = summary(articles[i - 1]);
+        article.next = summary(articles[i + 1]);
+    });
+}
+
+module.exports = {toLinkCollection, createLinkResolver, buildCollectionToc, sortByToc, linkNeighbours};
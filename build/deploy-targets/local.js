@@ -0,0 +1,36 @@
+/**
+ * 部署到本地目录，用于检查部署的结果，或者配合其他工具发布
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * @param config {{dir: string}}
+ */
+const createTarget = (config) => {
+    const dir = path.resolve(config.dir);
+    const fileOf = (key) => path.join(dir, ...key.split('/'));
+    return {
+        name: `local:${path.relative('.', dir) || '.'}`,
+        async get(key) {
+            const file = fileOf(key);
+            return fs.existsSync(file) ? fs.readFileSync(file) : null;
+        },
+        async put(key, body) {
+            const file = fileOf(key);
+            fs.mkdirSync(path.dirname(file), {recursive: true});
+            fs.writeFileSync(file, body);
+        },
+        async remove(key) {
+            const file = fileOf(key);
+            fs.rmSync(file, {force: true});
+            // 删除空的目录
+            for (let parent = path.dirname(file); parent !== dir && fs.existsSync(parent) && !fs.readdirSync(parent).length; parent = path.dirname(parent)) {
+                fs.rmdirSync(parent);
+            }
+        }
+    };
+}
+
+module.exports = {createTarget};
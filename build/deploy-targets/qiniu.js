@@ -0,0 +1,76 @@
+/**
+ * 部署到七牛云对象存储
+ * 密钥从环境变量 qiniu_ak 与 qiniu_sk 中读取
+ * 读取文件需要空间绑定的域名（domain），只有配置了 manifestKey、需要从空间中读取部署清单的时候才需要
+ */
+
+const qiniu = require('qiniu');
+
+// 文件不存在
+const notFoundCode = 612;
+
+/**
+ * @param config {{bucket: string, zone: string, domain?: string}}
+ */
+const createTarget = (config) => {
+    if (config.manifestKey && !config.domain) {
+        throw new Error('七牛云的部署目标配置了 manifestKey，读取部署清单需要配置空间绑定的域名 domain');
+    }
+    const mac = new qiniu.auth.digest.Mac(process.env.qiniu_ak, process.env.qiniu_sk);
+    const qiniuConfig = new qiniu.conf.Config();
+    // 空间对应的机房
+    qiniuConfig.zone = qiniu.zone[config.zone];
+    const formUploader = new qiniu.form_up.FormUploader(qiniuConfig);
+    const bucketManager = new qiniu.rs.BucketManager(mac, qiniuConfig);
+
+    return {
+        name: `qiniu:${config.bucket}`,
+        async get(key) {
+            if (!config.domain) {
+                throw new Error('读取文件需要配置空间绑定的域名 domain');
+            }
+            // 私有空间也可以访问，一个小时之后过期
+            const url = bucketManager.privateDownloadUrl(config.domain.replace(/\/$/, ''), key, Math.floor(Date.now() / 1000) + 3600);
+            const response = await fetch(url, {cache: 'no-store'});
+            if (response.status === 404) {
+                return null;
+            }
+            if (!response.ok) {
+                throw new Error(`读取失败: ${response.status}`);
+            }
+            return Buffer.from(await response.arrayBuffer());
+        },
+        put(key, body, contentType) {
+            // scope 带上 key 才能覆盖已经存在的文件
+            const putPolicy = new qiniu.rs.PutPolicy({scope: `${config.bucket}:${key}`});
+            const putExtra = new qiniu.form_up.PutExtra();
+            putExtra.mimeType = contentType;
+            return new Promise((resolve, reject) => {
+                formUploader.put(putPolicy.uploadToken(mac), key, body, putExtra, (respErr, respBody, respInfo) => {
+                    if (respErr) {
+                        reject(respErr);
+                    } else if (respInfo.statusCode === 200) {
+                        resolve();
+                    } else {
+                        reject(new Error(`上传失败: ${respInfo.statusCode} ${JSON.stringify(respBody)}`));
+                    }
+                });
+            });
+        },
+        remove(key) {
+            return new Promise((resolve, reject) => {
+                bucketManager.delete(config.bucket, key, (respErr, respBody, respInfo) => {
+                    if (respErr) {
+                        reject(respErr);
+                    } else if (respInfo.statusCode === 200 || respInfo.statusCode === notFoundCode) {
+                        resolve();
+                    } else {
+                        reject(new Error(`删除失败: ${respInfo.statusCode} ${JSON.stringify(respBody)}`));
+                    }
+                });
+            });
+        }
+    };
+}
+
+module.exports = {createTarget};
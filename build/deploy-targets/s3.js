@@ -0,0 +1,44 @@
+/**
+ * 部署到 S3 兼容的对象存储（AWS S3、Cloudflare R2、MinIO等）
+ * 密钥从环境变量 S3_ACCESS_KEY_ID 与 S3_SECRET_ACCESS_KEY 中读取，没有的时候使用 AWS SDK 默认的凭证
+ */
+
+const {S3Client, GetObjectCommand, PutObjectCommand, DeleteObjectCommand} = require('@aws-sdk/client-s3');
+
+/**
+ * @param config {{bucket: string, region?: string, endpoint?: string, prefix?: string, forcePathStyle?: boolean}}
+ */
+const createTarget = (config) => {
+    const {S3_ACCESS_KEY_ID: accessKeyId, S3_SECRET_ACCESS_KEY: secretAccessKey} = process.env;
+    const client = new S3Client({
+        region: config.region || 'auto',
+        endpoint: config.endpoint || undefined,
+        // MinIO 等自建的存储一般需要使用路径风格的地址
+        forcePathStyle: !!config.forcePathStyle,
+        credentials: accessKeyId && secretAccessKey ? {accessKeyId, secretAccessKey} : undefined
+    });
+    const prefix = config.prefix ? config.prefix.replace(/\/?$/, '/') : '';
+
+    return {
+        name: `s3:${config.bucket}/${prefix}`,
+        async get(key) {
+            try {
+                const response = await client.send(new GetObjectCommand({Bucket: config.bucket, Key: prefix + key}));
+                return Buffer.from(await response.Body.transformToByteArray());
+            } catch (error) {
+                if (error.name === 'NoSuchKey' || (error.$metadata && error.$metadata.httpStatusCode === 404)) {
+                    return null;
+                }
+                throw error;
+            }
+        },
+        async put(key, body, contentType) {
+            await client.send(new PutObjectCommand({Bucket: config.bucket, Key: prefix + key, Body: body, ContentType: contentType}));
+        },
+        async remove(key) {
+            await client.send(new DeleteObjectCommand({Bucket: config.bucket, Key: prefix + key}));
+        }
+    };
+}
+
+module.exports = {createTarget};
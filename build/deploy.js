@@ -0,0 +1,293 @@
+/**
+ * 部署：把构建好的站点同步到部署目标（七牛云、S3兼容的存储、本地目录）
+ * - 计算所有文件内容的哈希，与上次部署的清单对比，只上传新增与修改的文件
+ * - 清单保存在本地的 .cache/deploy-manifest-<target>.json 中；目标配置了 manifestKey 的时候同时保存在目标中，
+ *   优先读取目标中的清单，多台机器部署的时候结果一致。manifestKey 需要是不能公开访问的路径
+ * - 草稿与还没到发布时间的文章的 markdown 源文件不会部署
+ * - 使用 --delete 参数（或者配置 delete: true）的时候删除目标中本地已经不存在的文件
+ * - 使用 --dry-run 参数只输出部署计划，不做任何修改
+ * 没有清单的时候（第一次部署）会上传所有文件，但不会删除任何文件
+ *
+ * 用法： node build/deploy.js [--target qiniu] [--dry-run] [--delete] [--concurrency 4]
+ *
+ * 部署目标放在 deploy-targets 目录中，每个目标导出 createTarget(config)，返回：
+ * - name: 目标的名称，用于输出
+ * - get(key): 读取文件，不存在的时候返回 null
+ * - put(key, body, contentType): 写入文件
+ * - remove(key): 删除文件
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {hashContent} = require('./build-cache');
+const {getContentType} = require('./mime-types');
+const {getMarkdownFiles, getSourceStatus} = require('./generate-articles');
+const siteConfig = require('../site.config');
+
+const root = path.resolve(__dirname, '..');
+
+// 本地保存的上次部署的清单，每个目标一个文件，记录每个文件的哈希
+const localManifestFile = (name) => path.join(root, '.cache', `deploy-manifest-${name}.json`);
+
+/**
+ * 转换成文件在目标中的路径
+ * @param file {string}
+ * @return {string}
+ */
+const toKey = (file) => path.relative(root, file).split(path.sep).join('/');
+
+/**
+ * 没有发布的文章（草稿与定时发布）的 markdown 源文件，浏览器端渲染的页面会读取源文件，但是这些文章不能公开
+ * @param [now] {Date}
+ * @return {string[]} 文件在目标中的路径
+ */
+const findUnpublishedSources = (now = new Date()) => siteConfig.collections
+    .filter(collection => fs.existsSync(collection.dir))
+    .flatMap(collection => getMarkdownFiles(collection.dir))
+    .filter(file => getSourceStatus(file, now) !== 'published')
+    .map(file => toKey(path.resolve(file)));
+
+/**
+ * 获取需要部署的所有文件
+ * @param include {string[]} 需要部署的目录与文件
+ * @param exclude {string[]} 不需要部署的目录与文件
+ * @return {Array<{key: string, file: string}>} key 为文件在目标中的路径
+ */
+const collectFiles = (include, exclude) => {
+    const files = [];
+    const isExcluded = (key) => exclude.some(item => key === item || key.startsWith(`${item}/`));
+    const walk = (file) => {
+        const key = toKey(file);
+        if (isExcluded(key)) {
+            return;
+        }
+        if (fs.statSync(file).isDirectory()) {
+            fs.readdirSync(file).forEach(item => walk(path.join(file, item)));
+        } else {
+            files.push({key, file});
+        }
+    };
+    for (const item of include) {
+        const file = path.join(root, item);
+        if (fs.existsSync(file)) {
+            walk(file);
+        } else {
+            console.log(`⚠️  不存在: ${item}`);
+        }
+    }
+    return files.sort((a, b) => a.key.localeCompare(b.key));
+}
+
+/**
+ * 对比本地文件与上次部署的清单，生成部署计划
+ * @param files {Array<{key: string, file: string, hash: string}>} 本地文件
+ * @param remote {Object<string, string>|null} 上次部署的清单，没有的时候为 null
+ * @param deleteStale {boolean} 是否删除本地已经不存在的文件
+ * @return {{upload: Array<{key: string, file: string, hash: string, reason: 'new'|'changed'}>, remove: string[], unchanged: number}}
+ */
+const createPlan = (files, remote, deleteStale) => {
+    const previous = remote || {};
+    const upload = [];
+    let unchanged = 0;
+    for (const file of files) {
+        if (previous[file.key] === file.hash) {
+            unchanged++;
+        } else {
+            upload.push({...file, reason: previous[file.key] ? 'changed' : 'new'});
+        }
+    }
+    const keys = new Set(files.map(file => file.key));
+    const remove = deleteStale ? Object.keys(previous).filter(key => !keys.has(key)) : [];
+    return {upload, remove, unchanged};
+}
+
+/**
+ * 失败之后重试，每次重试的间隔翻倍
+ * @param task {function(): Promise<*>}
+ * @param retries {number} 重试次数
+ * @param label {string} 输出中的任务名称
+ * @return {Promise<*>}
+ */
+const withRetry = async (task, retries, label) => {
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await task();
+        } catch (error) {
+            if (attempt >= retries) {
+                throw error;
+            }
+            const delay = 500 * 2 ** attempt;
+            console.log(`🔁 ${label} 失败，${delay}ms 之后重试 (${attempt + 1}/${retries}): ${error.message}`);
+            await new Promise(resolve => setTimeout(resolve, delay));
+        }
+    }
+}
+
+/**
+ * 限制并发数量地执行任务，单个任务失败不影响其他任务
+ * @param items {Array<*>}
+ * @param concurrency {number}
+ * @param worker {function(*): Promise<void>}
+ * @return {Promise<Array<{item: *, error: Error}>>} 失败的任务
+ */
+const runWithConcurrency = async (items, concurrency, worker) => {
+    const failures = [];
+    let next = 0;
+    const run = async () => {
+        while (next < items.length) {
+            const item = items[next++];
+            try {
+                await worker(item);
+            } catch (error) {
+                failures.push({item, error});
+            }
+        }
+    };
+    await Promise.all(Array.from({length: Math.min(concurrency, items.length)}, run));
+    return failures;
+}
+
+/**
+ * 创建部署目标
+ * @param name {string} site.config.js 中 deploy.targets 的名称
+ * @return {{name: string, manifestKey?: string, get: function(string): Promise<Buffer|null>, put: function(string, Buffer, string): Promise<void>, remove: function(string): Promise<void>}}
+ */
+const createTarget = (name) => {
+    const config = siteConfig.deploy.targets[name];
+    if (!config) {
+        throw new Error(`未知的部署目标: ${name}，可用的目标: ${Object.keys(siteConfig.deploy.targets).join(', ')}`);
+    }
+    // 按需加载，只有使用到的目标才需要对应的依赖
+    return {...require(`./deploy-targets/${config.type}`).createTarget(config), manifestKey: config.manifestKey};
+}
+
+/**
+ * 读取上次部署的清单，目标中的清单读取不到的时候使用本地保存的清单
+ * @param target {Object} 部署目标
+ * @param targetName {string}
+ * @param retries {number}
+ * @return {Promise<Object<string, string>|null>} 没有清单的时候为 null
+ */
+const loadManifest = async (target, targetName, retries) => {
+    if (target.manifestKey) {
+        const manifest = await withRetry(() => target.get(target.manifestKey), retries, target.manifestKey);
+        if (manifest) {
+            return JSON.parse(manifest.toString('utf-8'));
+        }
+    }
+    const file = localManifestFile(targetName);
+    return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf-8')) : null;
+}
+
+/**
+ * 保存部署的清单，本地与目标中（配置了 manifestKey 的时候）各保存一份
+ * @param target {Object} 部署目标
+ * @param targetName {string}
+ * @param manifest {Object<string, string>}
+ * @param retries {number}
+ * @return {Promise<void>}
+ */
+const saveManifest = async (target, targetName, manifest, retries) => {
+    const content = JSON.stringify(Object.fromEntries(Object.entries(manifest).sort(([a], [b]) => a.localeCompare(b))), null, 4);
+    const file = localManifestFile(targetName);
+    fs.mkdirSync(path.dirname(file), {recursive: true});
+    fs.writeFileSync(file, content);
+    if (target.manifestKey) {
+        await withRetry(() => target.put(target.manifestKey, Buffer.from(content), getContentType(target.manifestKey)), retries, target.manifestKey);
+    }
+}
+
+/**
+ * 输出部署计划
+ * @param plan {{upload: Array, remove: string[], unchanged: number}}
+ */
+const printPlan = (plan) => {
+    plan.upload.forEach(item => console.log(`  ${item.reason === 'new' ? '+' : '~'} ${item.key}`));
+    plan.remove.forEach(key => console.log(`  - ${key}`));
+    console.log(`📋 上传 ${plan.upload.length} 个文件，删除 ${plan.remove.length} 个文件，${plan.unchanged} 个文件没有变化`);
+}
+
+/**
+ * 部署站点
+ * @param [options] {{target?: string, dryRun?: boolean, delete?: boolean, concurrency?: number}}
+ * @return {Promise<{uploaded: number, removed: number, failed: number}>}
+ */
+const deploy = async (options = {}) => {
+    const config = siteConfig.deploy;
+    const targetName = options.target || config.target;
+    const target = createTarget(targetName);
+    const retries = config.retries;
+    console.log(`🚀 开始部署到 ${target.name}${options.dryRun ? '（dry run，不会做任何修改）' : ''}`);
+
+    const unpublished = findUnpublishedSources();
+    if (unpublished.length) {
+        console.log(`📝 跳过 ${unpublished.length} 篇没有发布的文章的源文件`);
+    }
+    const files = collectFiles(config.include, [...config.exclude, ...unpublished])
+        .map(file => ({...file, hash: hashContent(fs.readFileSync(file.file))}));
+    const remote = await loadManifest(target, targetName, retries);
+    if (!remote) {
+        console.log('⚠️  没有上次部署的清单，上传所有文件，不会删除任何文件');
+    }
+    const plan = createPlan(files, remote, options.delete ?? config.delete);
+    printPlan(plan);
+    if (options.dryRun) {
+        return {uploaded: 0, removed: 0, failed: 0};
+    }
+
+    // 新的清单以上次的清单为基础，只记录成功的操作，失败的文件下次部署的时候会再次尝试
+    const next = {...remote};
+    const concurrency = options.concurrency || config.concurrency;
+    const uploadFailures = await runWithConcurrency(plan.upload, concurrency, async (item) => {
+        await withRetry(() => target.put(item.key, fs.readFileSync(item.file), getContentType(item.file)), retries, item.key);
+        next[item.key] = item.hash;
+        console.log(`✅ 上传成功: ${item.key}`);
+    });
+    const removeFailures = await runWithConcurrency(plan.remove, concurrency, async (key) => {
+        await withRetry(() => target.remove(key), retries, key);
+        delete next[key];
+        console.log(`🗑️  删除成功: ${key}`);
+    });
+    const failures = [...uploadFailures, ...removeFailures];
+    failures.forEach(({item, error}) => console.error(`❌ 失败: ${item.key || item}`, error.message));
+
+    if (plan.upload.length || plan.remove.length || !remote) {
+        await saveManifest(target, targetName, next, retries);
+    }
+
+    const result = {
+        uploaded: plan.upload.length - uploadFailures.length,
+        removed: plan.remove.length - removeFailures.length,
+        failed: failures.length
+    };
+    console.log(`\n🎉 部署完成: 上传 ${result.uploaded} 个文件，删除 ${result.removed} 个文件，失败 ${result.failed} 个`);
+    return result;
+}
+
+/**
+ * 读取命令行参数的值
+ * @param name {string}
+ * @return {string|undefined}
+ */
+const getArg = (name) => {
+    const index = process.argv.indexOf(name);
+    return index >= 0 ? process.argv[index + 1] : undefined;
+}
+
+if (require.main === module) {
+    deploy({
+        target: getArg('--target'),
+        dryRun: process.argv.includes('--dry-run'),
+        delete: process.argv.includes('--delete') || undefined,
+        concurrency: Number(getArg('--concurrency')) || undefined
+    }).then(result => {
+        if (result.failed) {
+            process.exit(1);
+        }
+    }).catch(error => {
+        console.error('❌ 部署过程中发生错误:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = {collectFiles, createPlan, deploy};
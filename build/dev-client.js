@@ -0,0 +1,59 @@
+/**
+ * 开发服务器注入到页面中的脚本，接收文件变化的通知并刷新页面
+ * 预渲染的文章页面只替换主体内容，保留滚动位置，替换完成之后派发 article:updated 事件
+ */
+
+/**
+ * 重新加载样式表，不刷新页面
+ */
+const reloadStylesheets = () => {
+    document.querySelectorAll('link[rel="stylesheet"]').forEach(link => {
+        const url = new URL(link.href);
+        url.searchParams.set('t', Date.now().toString());
+        link.href = url.toString();
+    });
+}
+
+/**
+ * 重新获取当前的文章页面，替换文章内容
+ * @return {Promise<boolean>} 是否替换成功，失败的时候需要刷新整个页面
+ */
+const swapArticle = async () => {
+    const content = document.getElementById('article-content');
+    if (!content || !content.hasAttribute('data-prerendered')) {
+        return false;
+    }
+    const response = await fetch(window.location.pathname, {cache: 'no-store'});
+    if (!response.ok) {
+        return false;
+    }
+    const nextDocument = new DOMParser().parseFromString(await response.text(), 'text/html');
+    const nextMain = nextDocument.querySelector('main');
+    if (!nextMain) {
+        return false;
+    }
+    const scrollY = window.scrollY;
+    document.querySelector('main').innerHTML = nextMain.innerHTML;
+    document.title = nextDocument.title;
+    const cover = nextDocument.getElementById('article-cover');
+    if (cover) {
+        document.getElementById('article-cover').src = cover.getAttribute('src');
+    }
+    window.scrollTo(0, scrollY);
+    document.dispatchEvent(new CustomEvent('article:updated'));
+    return true;
+}
+
+const source = new EventSource('/__dev/events');
+
+source.addEventListener('message', async (e) => {
+    const event = JSON.parse(e.data);
+    if (event.type === 'css') {
+        reloadStylesheets();
+        return;
+    }
+    if (event.type === 'content' && await swapArticle().catch(() => false)) {
+        return;
+    }
+    window.location.reload();
+});
@@ -0,0 +1,200 @@
+/**
+ * 本地开发服务器
+ * - 启动时完整构建一次，之后监听文章、封面与页面代码的变化，增量构建
+ * - 通过 SSE（/__dev/events）通知打开的页面刷新，文章页面只替换内容，保留滚动位置
+ * - --preview 使用预览模式构建，草稿与定时发布的文章也会生成；构建的结果会提交到仓库中，所以预览模式需要手动开启
+ *
+ * 用法： node build/dev-server.js [--port 8080] [--preview]
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const {processArticles} = require('./generate-articles');
+const {getContentType} = require('./mime-types');
+const siteConfig = require('../site.config');
+
+const root = path.resolve(__dirname, '..');
+const portIndex = process.argv.indexOf('--port');
+const port = Number(portIndex >= 0 ? process.argv[portIndex + 1] : process.env.PORT) || 8080;
+const preview = process.argv.includes('--preview');
+
+// 需要监听的目录，构建输出的目录（posts、data等）不能放在这里，否则会循环触发构建
+const watchTargets = [
+    ...siteConfig.collections.map(collection => collection.dir),
+    './covers',
+    './public',
+    './lib',
+    './pages',
+    './index.html'
+];
+
+// 注入到每个html页面中的客户端脚本
+const clientScript = '<script src="/__dev/client.js" type="module"></script>';
+
+// 当前连接的页面
+const clients = new Set();
+
+/**
+ * 通知所有打开的页面
+ * @param event {{type: 'content'|'css'|'reload'}}
+ */
+const broadcast = (event) => {
+    const message = `data: ${JSON.stringify(event)}\n\n`;
+    clients.forEach(response => response.write(message));
+}
+
+/**
+ * 把请求的地址映射到文件，目录使用其中的 index.html，与 cloudflare pages 一样支持省略 .html 后缀
+ * @param urlPath {string}
+ * @return {string|null}
+ */
+const resolveFile = (urlPath) => {
+    const file = path.join(root, path.normalize(decodeURIComponent(urlPath)));
+    if (!file.startsWith(root)) {
+        return null;
+    }
+    const candidates = [file, path.join(file, 'index.html'), file + '.html'];
+    return candidates.find(candidate => fs.existsSync(candidate) && fs.statSync(candidate).isFile()) || null;
+}
+
+const server = http.createServer((request, response) => {
+    const {pathname} = new URL(request.url, `http://${request.headers.host}`);
+
+    if (pathname === '/__dev/events') {
+        response.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive'
+        });
+        response.write('retry: 1000\n\n');
+        clients.add(response);
+        request.on('close', () => clients.delete(response));
+        return;
+    }
+
+    let file;
+    try {
+        file = pathname === '/__dev/client.js' ? path.join(__dirname, 'dev-client.js') : resolveFile(pathname);
+    } catch (error) {
+        // 地址中有无效的转义序列，decodeURIComponent 会抛出 URIError
+        response.writeHead(400, {'Content-Type': 'text/plain; charset=utf-8'});
+        response.end('Bad Request');
+        return;
+    }
+    if (!file) {
+        response.writeHead(404, {'Content-Type': 'text/plain; charset=utf-8'});
+        response.end('Not Found');
+        return;
+    }
+
+    const headers = {
+        'Content-Type': getContentType(file),
+        'Cache-Control': 'no-cache'
+    };
+    if (path.extname(file) === '.html') {
+        const html = fs.readFileSync(file, 'utf-8');
+        response.writeHead(200, headers);
+        response.end(html.includes('</body>') ? html.replace('</body>', `${clientScript}\n</body>`) : html + clientScript);
+        return;
+    }
+    response.writeHead(200, headers);
+    fs.createReadStream(file).pipe(response);
+});
+
+let building = null;
+let buildAgain = false;
+
+/**
+ * 增量构建，构建过程中又有文件变化的时候，在当前构建结束之后再构建一次
+ * @return {Promise<void>}
+ */
+const rebuild = async () => {
+    if (building) {
+        buildAgain = true;
+        return building;
+    }
+    building = (async () => {
+        do {
+            buildAgain = false;
+            try {
+                await processArticles({preview});
+            } catch (error) {
+                console.error('❌ 构建失败:', error);
+            }
+        } while (buildAgain);
+    })();
+    await building;
+    building = null;
+}
+
+let pendingFiles = new Set();
+let flushTimer = null;
+
+// 构建时会生成响应式版本的图片
+const imageRegex = /\.(jpe?g|png|gif|webp|avif)$/i;
+
+/**
+ * 文件变化之后是否需要重新构建：文章、封面与文章中的图片，以及 lib 中构建时与浏览器端共用的渲染器
+ * @param file {string} 监听到的文件，相对于项目根目录
+ * @return {boolean}
+ */
+const needsRebuild = (file) => file.endsWith('.md') || imageRegex.test(file) || file.startsWith('lib' + path.sep);
+
+/**
+ * 处理一批变化的文件，编辑器保存文件的时候往往会连续触发多次事件，这里合并处理
+ */
+const flushChanges = async () => {
+    const files = [...pendingFiles];
+    pendingFiles = new Set();
+    console.log(`\n🔄 文件变化: ${files.join(', ')}`);
+
+    if (files.some(needsRebuild)) {
+        await rebuild();
+        // lib 中的脚本页面中也在使用，只替换文章内容不会加载新的脚本，需要刷新整个页面
+        broadcast({type: files.some(file => file.startsWith('lib' + path.sep)) ? 'reload' : 'content'});
+    } else if (files.every(file => file.endsWith('.css'))) {
+        broadcast({type: 'css'});
+    } else {
+        broadcast({type: 'reload'});
+    }
+}
+
+/**
+ * 监听文件变化
+ */
+const watch = () => {
+    for (const target of watchTargets) {
+        if (!fs.existsSync(target)) {
+            continue;
+        }
+        fs.watch(target, {recursive: true}, (eventType, filename) => {
+            const file = fs.statSync(target).isDirectory() && filename ? path.join(target, filename) : target;
+            pendingFiles.add(file);
+            clearTimeout(flushTimer);
+            flushTimer = setTimeout(flushChanges, 100);
+        });
+    }
+}
+
+// 主函数
+async function main() {
+    await rebuild();
+    watch();
+    server.listen(port, () => {
+        console.log(`\n🚀 开发服务器已启动: http://localhost:${port}`);
+        console.log(`👀 正在监听: ${watchTargets.join(', ')}`);
+        if (preview) {
+            console.log('📝 预览模式：草稿与定时发布的文章也会生成，提交之前请重新执行 npm run build');
+        }
+    });
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error('❌ 开发服务器启动失败:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = {resolveFile};
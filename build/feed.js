@@ -0,0 +1,153 @@
+/**
+ * 订阅源生成：RSS 2.0、Atom 1.0 与 JSON Feed 1.1
+ */
+
+const path = require('path');
+const {escapeHtml} = require('./page-template');
+
+/**
+ * 把站内的绝对地址转换成带域名的完整地址，订阅源在阅读器中打开，没有站点的上下文
+ * @param siteUrl {string}
+ * @param url {string}
+ * @return {string}
+ */
+const absoluteUrl = (siteUrl, url) => url && url.startsWith('/') ? siteUrl.replace(/\/$/, '') + url : url;
+
+/**
+ * 文章内容中的站内地址（链接与图片）转换成完整地址，响应式图片的 srcset 中每一个地址都需要转换
+ * 模糊占位图依赖 onload 脚本去掉，阅读器会过滤脚本，所以同时去掉占位图
+ * @param siteUrl {string}
+ * @param html {string}
+ * @return {string}
+ */
+const absolutizeHtml = (siteUrl, html) => html
+    .replace(/ style="background: url\(data:[^"]*" onload="[^"]*"/g, '')
+    .replace(/(\s(?:href|src)=")(\/[^/"][^"]*|\/)"/g, (_, attr, url) => `${attr}${absoluteUrl(siteUrl, url)}"`)
+    .replace(/(\ssrcset=")([^"]*)"/g, (_, attr, srcset) => `${attr}${srcset
+        .split(',')
+        .map(candidate => candidate.trim().replace(/^\/(?!\/)\S*/, url => absoluteUrl(siteUrl, url)))
+        .join(', ')}"`);
+
+/**
+ * 准备订阅源中的条目，按日期从新到旧取前 size 篇
+ * @param articles {Array<Article & {html: string}>}
+ * @param config {Object} 站点配置
+ * @return {Array<{article: Article, url: string, cover: string, date: Date, content: string}>}
+ */
+const getFeedItems = (articles, config) => articles
+    .filter(article => article.date && !isNaN(new Date(article.date).getTime()))
+    .sort((a, b) => new Date(b.date) - new Date(a.date))
+    .slice(0, config.feed.size)
+    .map(article => ({
+        article,
+        url: absoluteUrl(config.siteUrl, article.url),
+        cover: absoluteUrl(config.siteUrl, article.cover),
+        date: new Date(article.date),
+        content: config.feed.content === 'full' ? absolutizeHtml(config.siteUrl, article.html) : null
+    }));
+
+// 封面图片的类型
+const imageTypes = {
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.png': 'image/png',
+    '.gif': 'image/gif',
+    '.webp': 'image/webp',
+    '.avif': 'image/avif',
+    '.svg': 'image/svg+xml'
+};
+
+const getImageType = (url) => imageTypes[path.extname(new URL(url).pathname).toLowerCase()] || 'image/jpeg';
+
+/**
+ * 订阅源最后更新的时间，取最新一篇文章的日期
+ */
+const getUpdated = (items) => items.length ? items[0].date : new Date();
+
+/**
+ * RSS 2.0
+ * @param articles {Array<Article & {html: string}>}
+ * @param config {Object} 站点配置
+ * @return {string}
+ */
+const renderRss = (articles, config) => {
+    const items = getFeedItems(articles, config);
+    const siteUrl = absoluteUrl(config.siteUrl, '/');
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/">
+<channel>
+    <title>${escapeHtml(config.title)}</title>
+    <link>${siteUrl}</link>
+    <description>${escapeHtml(config.description)}</description>
+    <language>${config.language}</language>
+    <lastBuildDate>${getUpdated(items).toUTCString()}</lastBuildDate>
+    <atom:link href="${absoluteUrl(config.siteUrl, '/feed.xml')}" rel="self" type="application/rss+xml"/>
+${items.map(({article, url, cover, date, content}) => `    <item>
+        <title>${escapeHtml(article.title)}</title>
+        <link>${url}</link>
+        <guid isPermaLink="true">${url}</guid>
+        <pubDate>${date.toUTCString()}</pubDate>
+        <description>${escapeHtml(article.preview)}</description>
+${content ? `        <content:encoded>${escapeHtml(content)}</content:encoded>\n` : ''}${article.tags.map(tag => `        <category>${escapeHtml(tag)}</category>\n`).join('')}${cover ? `        <enclosure url="${escapeHtml(cover)}" type="${getImageType(cover)}" length="0"/>\n` : ''}    </item>`).join('\n')}
+</channel>
+</rss>
+`;
+}
+
+/**
+ * Atom 1.0
+ * @param articles {Array<Article & {html: string}>}
+ * @param config {Object} 站点配置
+ * @return {string}
+ */
+const renderAtom = (articles, config) => {
+    const items = getFeedItems(articles, config);
+    const siteUrl = absoluteUrl(config.siteUrl, '/');
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="${config.language}">
+    <title>${escapeHtml(config.title)}</title>
+    <subtitle>${escapeHtml(config.description)}</subtitle>
+    <id>${siteUrl}</id>
+    <link href="${siteUrl}"/>
+    <link href="${absoluteUrl(config.siteUrl, '/atom.xml')}" rel="self" type="application/atom+xml"/>
+    <updated>${getUpdated(items).toISOString()}</updated>
+    <author><name>${escapeHtml(config.author)}</name></author>
+${items.map(({article, url, cover, date, content}) => `    <entry>
+        <title>${escapeHtml(article.title)}</title>
+        <id>${url}</id>
+        <link href="${url}"/>
+        <published>${date.toISOString()}</published>
+        <updated>${date.toISOString()}</updated>
+        <summary>${escapeHtml(article.preview)}</summary>
+${content ? `        <content type="html">${escapeHtml(content)}</content>\n` : ''}${article.tags.map(tag => `        <category term="${escapeHtml(tag)}"/>\n`).join('')}${cover ? `        <link rel="enclosure" href="${escapeHtml(cover)}" type="${getImageType(cover)}"/>\n` : ''}    </entry>`).join('\n')}
+</feed>
+`;
+}
+
+/**
+ * JSON Feed 1.1
+ * @param articles {Array<Article & {html: string}>}
+ * @param config {Object} 站点配置
+ * @return {string}
+ */
+const renderJsonFeed = (articles, config) => JSON.stringify({
+    version: 'https://jsonfeed.org/version/1.1',
+    title: config.title,
+    description: config.description,
+    home_page_url: absoluteUrl(config.siteUrl, '/'),
+    feed_url: absoluteUrl(config.siteUrl, '/feed.json'),
+    language: config.language,
+    authors: [{name: config.author}],
+    items: getFeedItems(articles, config).map(({article, url, cover, date, content}) => ({
+        id: url,
+        url,
+        title: article.title,
+        summary: article.preview,
+        ...(content ? {content_html: content} : {content_text: article.preview}),
+        image: cover,
+        date_published: date.toISOString(),
+        tags: article.tags
+    }))
+}, null, 4);
+
+module.exports = {absoluteUrl, renderRss, renderAtom, renderJsonFeed};
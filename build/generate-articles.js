@@ -1,11 +1,71 @@
 const fs = require('fs');
 const path = require('path');
-const showdown = require('showdown');
+const {importLib, renderMarkdown} = require('./markdown-renderer');
+const {loadTemplateHelpers, renderArticlePage, renderCollectionPage, renderArchivePage} = require('./page-template');
+const {buildSearchIndex} = require('./search-index');
+const {toLinkCollection, createLinkResolver, buildCollectionToc, sortByToc, linkNeighbours} = require('./collections');
+const {renderRss, renderAtom, renderJsonFeed} = require('./feed');
+const {loadBuildCache} = require('./build-cache');
+const {lineOf, parseDateTime, validateMeta, createDiagnostics, validateArticles} = require('./validate');
+const {createImagePipeline} = require('./image-pipeline');
+const {linkRelated} = require('./related-articles');
+const {pagesDir, paginateArticles} = require('./pagination');
+const {renderSitemap, renderRobots} = require('./sitemap');
+const siteConfig = require('../site.config');
 
 const maxWord = 50;
 
-// Create a showdown converter for markdown parsing
-const converter = new showdown.Converter();
+// 阅读速度，中文按字数计算，其他文字按单词数计算
+const cjkPerMinute = 400;
+const wordsPerMinute = 200;
+
+// 文章头部的 <meta ... /> 标签
+const metaRegex = /^<meta\s+([^>]+)\/?>/;
+
+/**
+ * 查找正文中的第一个标题，只查找最外层的内容
+ * @param tokens {Array<Object>} markdown 解析的结果
+ * @return {{text: string, raw: string, index: number}|null} 标题的文字、原文与在正文中的位置
+ */
+function findFirstHeading(tokens) {
+    let index = 0;
+    for (const token of tokens) {
+        if (token.type === 'heading') {
+            return {text: token.text.trim(), raw: token.raw, index};
+        }
+        index += token.raw.length;
+    }
+    return null;
+}
+
+/**
+ * 获取html中的文本内容，marked会对引号等字符进行转义，这里还原回来，避免影响字数统计
+ * @param html {string}
+ * @return {string}
+ */
+function htmlToText(html) {
+    return html
+        // 代码块的语言标签与复制按钮、公式的 MathML 不属于正文
+        .replace(/<div class="code-header">[\s\S]*?<\/div>/g, '')
+        .replace(/<math[\s\S]*?<\/math>/g, '')
+        .replace(/<[^>]+>/g, '')
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;/g, "'")
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&amp;/g, '&');
+}
+
+/**
+ * 估算阅读时间，中文每分钟400字左右，英文每分钟200个单词左右
+ * @param text {string} 正文的纯文本
+ * @return {number} 分钟数，至少1分钟
+ */
+function estimateReadingTime(text) {
+    const cjk = (text.match(/[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/gu) || []).length;
+    const words = (text.match(/[\p{Script=Latin}\p{N}_]+/gu) || []).length;
+    return Math.max(1, Math.round(cjk / cjkPerMinute + words / wordsPerMinute));
+}
 
 // Function to get all markdown files in a directory
 function getMarkdownFiles(dir, files = []) {
@@ -25,85 +85,488 @@ function getMarkdownFiles(dir, files = []) {
     return files;
 }
 
-// Function to extract frontmatter and content from markdown file
-function extractArticleInfo(filePath) {
-    const fileContent = fs.readFileSync(filePath, 'utf-8');
-    //  文件头部有个  <meta title="我的第一篇文章" date="2025-01-01" tags="生活，随笔" />， 从里面获取文件的描述性信息
-    const metaMatch = fileContent.match(/^<meta\s+([^>]+)\/?>/);
-    let data = {};
+/**
+ * 解析文件头部的 <meta title="我的第一篇文章" date="2025-01-01" tags="生活，随笔" />，获取文件的描述性信息
+ * @param fileContent {string} markdown文件的内容
+ * @return {{data: Object, lines: Object<string, number>}} 属性与每个属性所在的行号，行号用于输出诊断信息
+ */
+function parseMeta(fileContent) {
+    const metaMatch = fileContent.match(metaRegex);
+    const data = {};
+    const lines = {};
     if (metaMatch) {
         const metaString = metaMatch[1];
+        const metaOffset = metaMatch.index + metaMatch[0].indexOf(metaString);
+        lines.meta = lineOf(fileContent, metaMatch.index);
         const attrRegex = /(\w+)=["']([^"']+)["']/g;
         let match;
         while ((match = attrRegex.exec(metaString)) !== null) {
             const key = match[1];
             let value = match[2];
-            // 如果是tags，转换成数组
+            lines[key] = lineOf(fileContent, metaOffset + match.index);
+            // 如果是tags，转换成数组，中英文逗号与顿号都可以作为分隔符
             if (key === 'tags') {
-                value = value.split('，').map(tag => tag.trim());
+                value = value.split(/[，,、]/).map(tag => tag.trim()).filter(tag => tag);
             }
             data[key] = value;
         }
     }
+    return {data, lines};
+}
+
+/**
+ * 根据 markdown 源文件判断文章的发布状态，不需要渲染，部署时用于排除没有发布的文章的源文件
+ * @param filePath {string} markdown文件
+ * @param now {Date}
+ * @return {'draft'|'scheduled'|'published'}
+ */
+function getSourceStatus(filePath, now) {
+    const {data} = parseMeta(fs.readFileSync(filePath, 'utf-8'));
+    return getArticleStatus({draft: data.draft === 'true', publishAt: data.publishAt, date: data.date}, now);
+}
+
+/**
+ * Function to extract frontmatter and content from markdown file
+ * @param filePath {string} markdown文件
+ * @param [collection] {Object} 文章所属的集合，默认是第一个集合
+ * @param [collections] {Array<Object>} 所有的集合，用于改写指向其他集合的链接
+ */
+async function extractArticleInfo(filePath, collection = siteConfig.collections[0], collections = [collection]) {
+    const fileContent = fs.readFileSync(filePath, 'utf-8');
+    const {data, lines} = parseMeta(fileContent);
+
+    // meta标签已经解析过了，不需要出现在正文中
+    let markdown = fileContent.replace(metaRegex, '');
+    // 没有声明标题的时候使用第一个标题，如果这个标题在最开头，从正文中去掉，避免与页面的标题重复
+    // 使用 markdown 的解析结果查找标题，代码块中以 # 开头的行不是标题
+    const heading = !data.title && findFirstHeading((await importLib('markdown-renderer.js')).lexMarkdown(markdown));
+    if (heading) {
+        data.title = heading.text;
+        lines.title = lineOf(fileContent, fileContent.length - markdown.length + heading.index);
+        if (!markdown.slice(0, heading.index).trim()) {
+            markdown = markdown.slice(heading.index + heading.raw.length);
+        }
+    }
 
-    const html = converter.makeHtml(fileContent);
-    // 获取html中的文本内容
-    const content = html.replace(/<[^>]+>/g, '');
-    // 获取<meta ... />标签中的属性
+    const issues = validateMeta(data, lines, collection);
 
+    // 与浏览器端使用同一套渲染器，相对地址改写成站点中的地址，同时记录引用的链接与图片，构建时检查是否有效
+    const refs = [];
+    const linkResolver = await createLinkResolver(collections, filePath);
+    const resolveLink = (href, type) => {
+        const url = linkResolver(href);
+        refs.push({href, url, image: type === 'image', line: lineOf(fileContent, fileContent.indexOf(href))});
+        return url;
+    };
+    const rendered = await renderMarkdown(markdown, {resolveLink});
+    // 获取html中的文本内容
+    const content = htmlToText(rendered);
+    // 标题加上锚点，生成文章目录
+    const {addHeadingAnchors} = await importLib('heading-anchors.js');
+    const {html, headings} = addHeadingAnchors(rendered);
 
     // Extract the relative path for the article
-    const relativePath = path.relative('./articles', filePath);
+    const relativePath = path.relative(collection.dir, filePath);
     const fileName = path.basename(filePath);
     const slug = fileName.replace('.md', '');
 
     // Calculate word count
-    const wordCount = content.replace(/\s+/g, ' ').trim().length;
+    const text = content.replace(/\s+/g, ' ').trim();
+    const wordCount = text.length;
 
     return {
-        title: data.title,
+        // 缺少标题的文章会在诊断信息中报错，这里使用slug兜底，避免页面上出现 undefined
+        title: data.title || slug,
+        slug: slug,
+        url: `${collection.path}${slug}/`,
+        collection: collection.name,
         filePath: relativePath,
-        cover: data.cover,
+        cover: data.cover || collection.cover,
         date: data.date,
+        // 发布状态与构建的时间有关，不能缓存，构建时根据这两个属性计算
+        draft: data.draft === 'true',
+        publishAt: data.publishAt,
         wordCount: wordCount,
-        preview: data.desc,
-        tags: data.tags || []
+        readingTime: estimateReadingTime(text),
+        // 没有描述的时候截取正文的开头
+        preview: data.desc || (text.length > maxWord ? text.slice(0, maxWord) + '...' : text),
+        tags: data.tags || collection.tags || [],
+        html: html,
+        text: text,
+        headings: headings,
+        // 诊断信息需要的源文件信息，不会写入文章数据
+        source: {
+            file: path.relative('.', filePath).split(path.sep).join('/'),
+            lines,
+            issues,
+            refs
+        }
     };
 }
 
-// Main function to process all articles
-function processArticles() {
-    console.log('Processing articles...');
+/**
+ * 按日期从新到旧排序，没有日期或者日期不合法的文章排在最后
+ * @param a {Article}
+ * @param b {Article}
+ * @return {number}
+ */
+function compareByDate(a, b) {
+    const time = (article) => new Date(article.date).getTime() || 0;
+    return time(b) - time(a);
+}
+
+/**
+ * 文章的发布状态：draft 草稿，scheduled 还没到发布时间（publishAt，没有的时候是 date），published 已发布
+ * @param article {Article & {draft: boolean}}
+ * @param now {Date} 构建的时间
+ * @return {'draft'|'scheduled'|'published'}
+ */
+function getArticleStatus(article, now) {
+    if (article.draft) {
+        return 'draft';
+    }
+    const publishTime = parseDateTime(article.publishAt || article.date);
+    return publishTime && publishTime > now ? 'scheduled' : 'published';
+}
+
+/**
+ * 输出没有发布的文章，定时发布的文章需要在发布时间之后重新构建才会上线
+ * @param pages {Array<Article & {source: Object}>} 所有的文章
+ * @param preview {boolean} 是否是预览模式
+ */
+function reportUnpublished(pages, preview) {
+    const drafts = pages.filter(page => page.status === 'draft');
+    const scheduled = pages
+        .filter(page => page.status === 'scheduled')
+        .sort((a, b) => parseDateTime(a.publishAt || a.date) - parseDateTime(b.publishAt || b.date));
+    if (drafts.length) {
+        console.log(`Drafts ${preview ? 'included in preview' : 'skipped'}: ${drafts.map(page => page.source.file).join(', ')}`);
+    }
+    if (scheduled.length) {
+        console.log(`Scheduled articles ${preview ? 'included in preview' : 'skipped'}, rebuild after the time to publish them:`);
+        for (const page of scheduled) {
+            console.log(`  ${page.publishAt || page.date}  ${page.title} (${page.source.file})`);
+        }
+    }
+}
+
+/**
+ * 统计所有的标签及其文章数量，按数量从多到少排序，数量相同的按名称排序
+ * @param articles {Array<Article>}
+ * @return {Array<{name: string, count: number}>}
+ */
+function collectTags(articles) {
+    const counts = new Map();
+    for (const article of articles) {
+        for (const tag of article.tags) {
+            counts.set(tag, (counts.get(tag) || 0) + 1);
+        }
+    }
+    return [...counts.entries()]
+        .map(([name, count]) => ({name, count}))
+        .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name, 'zh-CN'));
+}
+
+/**
+ * 写入文件，内容没有变化的时候不写，避免修改文件的修改时间，触发不必要的同步与刷新
+ * @param file {string}
+ * @param content {string}
+ * @return {boolean} 是否写入了文件
+ */
+function writeFile(file, content) {
+    if (fs.existsSync(file) && fs.readFileSync(file, 'utf-8') === content) {
+        return false;
+    }
+    fs.mkdirSync(path.dirname(file), {recursive: true});
+    fs.writeFileSync(file, content);
+    return true;
+}
 
-    // Get all markdown files in the articles directory
-    const markdownFiles = getMarkdownFiles('./articles');
+/**
+ * 获取集合页面的输出目录，与页面的访问路径对应
+ * @param collection {Object} 集合配置
+ * @return {string}
+ */
+function getOutputDir(collection) {
+    return path.join('.', collection.path);
+}
+
+/**
+ * 为集合中的每篇文章生成预渲染的静态页面，有目录页的集合同时生成落地页
+ * @param collection {Object} 集合配置
+ * @param articles {Array<Article & {html: string}>}
+ * @param [series] {{toc: Array, page: {title: string, html: string}}} 集合的目录与落地页
+ * @param renderToc {function(Array): string} 生成文章目录
+ */
+function writeCollectionPages(collection, articles, series, renderToc) {
+    const outputDir = getOutputDir(collection);
+    const slugs = new Set(articles.map(article => article.slug));
+    // 清理掉旧的页面，避免删除或者重命名的文章残留
+    if (fs.existsSync(outputDir)) {
+        for (const item of fs.readdirSync(outputDir)) {
+            const pageDir = path.join(outputDir, item);
+            if (!slugs.has(item) && fs.existsSync(path.join(pageDir, 'index.html'))) {
+                fs.rmSync(pageDir, {recursive: true, force: true});
+            }
+        }
+    }
+    for (const article of articles) {
+        writeFile(path.join(outputDir, article.slug, 'index.html'), renderArticlePage(article, article.html, {
+            collection,
+            toc: series && series.toc,
+            outline: renderToc(article.headings)
+        }));
+    }
+    if (series) {
+        writeFile(path.join(outputDir, 'index.html'), renderCollectionPage(collection, series.page, series.toc));
+    }
+}
+
+/**
+ * 解析文章，内容没有变化的文件直接使用缓存中的结果
+ * @param cache {Object} 构建缓存
+ * @param filePath {string}
+ * @param collection {Object}
+ * @param collections {Array<Object>}
+ */
+async function extractArticleInfoCached(cache, filePath, collection, collections) {
+    const key = path.resolve(filePath);
+    const fileContent = fs.readFileSync(filePath, 'utf-8');
+    const cached = cache.get(key, fileContent);
+    if (cached) {
+        return cached;
+    }
+    console.log(`Processing: ${filePath}`);
+    const article = await extractArticleInfo(filePath, collection, collections);
+    cache.set(key, fileContent, article);
+    return article;
+}
+
+/**
+ * 处理文章的封面与正文中的图片，记录图片信息并把正文中的图片替换成响应式图片
+ * @param article {Article & {html: string}}
+ * @param images {Object} 图片处理器
+ */
+async function processImages(article, images) {
+    const {enhanceImages} = await importLib('responsive-image.js');
+    const coverImage = await images.process(article.cover);
+    if (coverImage) {
+        article.coverImage = coverImage;
+    }
+    const inlineImages = {};
+    for (const ref of article.source.refs.filter(ref => ref.image)) {
+        const image = await images.process(ref.url);
+        if (image) {
+            inlineImages[ref.url] = image;
+        }
+    }
+    if (Object.keys(inlineImages).length) {
+        article.images = inlineImages;
+    }
+    article.html = enhanceImages(article.html, inlineImages);
+}
+
+/**
+ * 解析一个集合中的所有文章，只解析不生成页面，校验通过之后再由 writeCollectionPages 生成
+ * @param collection {Object} 集合配置
+ * @param collections {Array<Object>} 所有的集合
+ * @param cache {Object} 构建缓存
+ * @param images {Object} 图片处理器
+ * @param options {{preview: boolean, now: Date}} 预览模式与构建的时间
+ * @return {Promise<{articles: Array<Article & {html: string, text: string}>, hidden: Array<Article>, landing: Object|null, series: Object|null}>} 集合中生成页面的文章、没有发布的文章、落地页与集合的目录
+ */
+async function parseCollection(collection, collections, cache, images, options) {
+    console.log(`Processing collection: ${collection.name} (${collection.dir})`);
+    const indexFile = collection.index && path.resolve(collection.dir, collection.index);
+
+    // Get all markdown files in the collection directory, the index file is rendered as the landing page
+    const markdownFiles = getMarkdownFiles(collection.dir).filter(filePath => path.resolve(filePath) !== indexFile);
 
     // Process each markdown file
-    const articles = markdownFiles.map(filePath => {
-        console.log(`Processing: ${filePath}`);
-        return extractArticleInfo(filePath);
-    }).sort((a, b) => new Date(b.date) - new Date(a.date));
+    const articles = [];
+    // 草稿与还没到发布时间的文章只在预览模式下生成页面
+    const hidden = [];
+    for (const filePath of markdownFiles) {
+        const article = await extractArticleInfoCached(cache, filePath, collection, collections);
+        article.status = getArticleStatus(article, options.now);
+        (options.preview || article.status === 'published' ? articles : hidden).push(article);
+    }
+
+    let series = null;
+    let landing = null;
+    if (indexFile) {
+        landing = await extractArticleInfoCached(cache, indexFile, collection, collections);
+        landing.url = collection.path;
+        await processImages(landing, images);
+        series = {
+            toc: await buildCollectionToc(collection, articles),
+            page: {title: landing.title || collection.title, html: landing.html, cover: landing.coverImage ? landing.coverImage.smallest : landing.cover}
+        };
+    }
 
-    // Sort articles by modification date (newest first)
-    articles.sort((a, b) => new Date(b.modified) - new Date(a.modified));
+    for (const article of articles) {
+        await processImages(article, images);
+    }
+
+    if (collection.order === 'index' && series) {
+        // 按照目录页中的顺序排列，作为系列文章提供上一篇与下一篇的导航
+        sortByToc(articles, series.toc);
+        linkNeighbours(articles);
+    } else {
+        // Sort articles by date (newest first)
+        articles.sort(compareByDate);
+    }
+
+    return {articles, hidden, landing, series};
+}
+
+/**
+ * Main function to process all articles
+ * @param [options] {{cache?: boolean, strict?: boolean, preview?: boolean}} cache 为 false 的时候忽略构建缓存，完整构建；
+ * strict 为 true 的时候有任何错误或者警告都会让构建失败；preview 为 true 的时候草稿与定时发布的文章也会生成，带有草稿的标记
+ */
+async function processArticles(options = {}) {
+    console.log(options.preview ? 'Processing articles in preview mode, drafts and scheduled articles are included...' : 'Processing articles...');
+    const preview = !!options.preview;
+    const now = new Date();
+    await loadTemplateHelpers();
+
+    const {collections} = siteConfig;
+    // 集合的配置会影响文章的地址与链接的改写，配置变化之后缓存需要失效
+    const cache = loadBuildCache({enabled: options.cache !== false, salt: JSON.stringify(collections)});
+    const images = createImagePipeline(siteConfig.images);
+    const parsed = [];
+    // 所有集合中的文章与落地页，用于校验
+    const pages = [];
+    for (const collection of collections) {
+        const result = await parseCollection(collection, collections, cache, images, {preview, now});
+        parsed.push({collection, ...result});
+        pages.push(...result.articles, ...result.hidden, ...(result.landing ? [result.landing] : []));
+    }
+
+    // 校验文章，构建缓存只缓存解析的结果，引用的文件是否存在每次都需要重新检查
+    const diagnostics = createDiagnostics();
+    // 没有发布的文章不会生成页面，指向它们的链接是无效的
+    const pageUrls = pages.filter(page => !page.status || preview || page.status === 'published').map(page => page.url);
+    validateArticles(pages, new Set(['/', ...pageUrls]), diagnostics);
+    diagnostics.report();
+    if (options.strict && (diagnostics.errors || diagnostics.warnings)) {
+        throw new Error(`Strict mode: build failed with ${diagnostics.errors} errors and ${diagnostics.warnings} warnings`);
+    }
+    reportUnpublished(pages, preview);
+
+    // 校验通过之后才生成页面与数据，严格模式下构建失败的时候不会留下只更新了一部分的页面与数据
+    const {renderToc} = await importLib('heading-anchors.js');
+    const articles = [];
+    const collectionData = [];
+    for (const {collection, articles: collectionArticles, series} of parsed) {
+        writeCollectionPages(collection, collectionArticles, series, renderToc);
+        console.log(`Pre-rendered ${collectionArticles.length} article pages to ${getOutputDir(collection)}`);
+        // 只有出现在首页列表中的集合作为博客文章，其他的集合通过各自的落地页访问
+        if (collection.listed) {
+            articles.push(...collectionArticles);
+        }
+        collectionData.push({
+            name: collection.name,
+            title: collection.title,
+            path: collection.path,
+            listed: !!collection.listed,
+            landing: !!collection.index,
+            count: collectionArticles.length,
+            // 浏览器端渲染的文章页面改写相对地址需要 markdown 目录的位置
+            ...toLinkCollection(collection)
+        });
+    }
+    // 多个集合的文章合并之后重新按日期排序
+    articles.sort(compareByDate);
+    // 按发布的先后设置上一篇（更早）与下一篇（更新），再挑选相关文章，由文章页面渲染在正文下方
+    linkNeighbours([...articles].reverse());
+    await linkRelated(articles);
 
     // Create the data directory if it doesn't exist
     if (!fs.existsSync('./data')) {
         fs.mkdirSync('./data', {recursive: true});
     }
 
-    // Write the index.json file with all article information
-    fs.writeFileSync('./data/article-data.js', `const allArticles = ${JSON.stringify(articles, null, 4)};
+    // 只有没有发布的文章（预览模式）需要带上发布状态，用于显示草稿的标记
+    // 上一篇、下一篇与相关文章只记录标题与地址，卡片需要的封面与日期由文章页面按地址查找
+    const articleData = articles.map(({html, text, headings, source, draft, status, prev, next, related, ...article}) => ({
+        ...article,
+        ...(prev ? {prev} : {}),
+        ...(next ? {next} : {}),
+        related,
+        ...(status === 'published' ? {} : {status})
+    }));
+
+    // 标签数据
+    const tags = collectTags(articleData);
+    writeFile('./data/tag-data.js', `const allTags = ${JSON.stringify(tags, null, 4)};
 
-export default allArticles;`);
+export default allTags;`);
+    console.log(`Tag information saved to data/tag-data.js (${tags.length} tags)`);
+
+    // 文章列表按页拆分，首页按需加载，清理掉文章减少之后多余的分页文件
+    const {manifest, files} = paginateArticles(articleData, tags, siteConfig.pagination);
+    if (fs.existsSync(pagesDir)) {
+        fs.readdirSync(pagesDir).filter(file => !files.has(file)).forEach(file => fs.rmSync(path.join(pagesDir, file)));
+    }
+    files.forEach((items, file) => writeFile(path.join(pagesDir, file), JSON.stringify(items)));
+    writeFile('./data/article-pages.js', `const articlePages = ${JSON.stringify(manifest, null, 4)};
 
-    console.log(`Processed ${markdownFiles.length} articles.`);
-    console.log('Article information saved to public/js/api/article-data.js');
+export default articlePages;`);
+    console.log(`Article pages saved to data/article-pages.js (${files.size} files, ${manifest.pageSize} articles per page)`);
 
-    return articles;
+    // 归档页面
+    writeFile('./archive/index.html', renderArchivePage(articleData));
+
+    // 全文搜索的索引，按需加载，不需要格式化；索引中带有文章卡片的数据，搜索结果不需要再加载分页文件
+    const searchIndex = await buildSearchIndex(articleData.map((article, i) => ({...article, text: articles[i].text})));
+    writeFile('./data/search-index.json', JSON.stringify(searchIndex));
+    console.log(`Search index saved to data/search-index.json (${Object.keys(searchIndex.terms).length} terms)`);
+
+    // 订阅源与 sitemap 中都是绝对地址，没有配置站点地址的时候不生成，同时删除之前生成的文件
+    if (siteConfig.siteUrl) {
+        // 订阅源，预览模式下也只包含已经发布的文章
+        const publishedArticles = articles.filter(article => article.status === 'published');
+        writeFile('./feed.xml', renderRss(publishedArticles, siteConfig));
+        writeFile('./atom.xml', renderAtom(publishedArticles, siteConfig));
+        writeFile('./feed.json', renderJsonFeed(publishedArticles, siteConfig));
+        console.log('Feeds saved to feed.xml, atom.xml and feed.json');
+
+        // sitemap，预览模式下也不包含没有发布的文章
+        const publishedPages = pages.filter(page => !page.status || page.status === 'published');
+        writeFile('./sitemap.xml', renderSitemap(publishedPages, collectTags(publishedArticles), siteConfig));
+        console.log(`Sitemap saved to sitemap.xml (${publishedPages.length} pages)`);
+    } else {
+        ['./feed.xml', './atom.xml', './feed.json', './sitemap.xml'].forEach(file => fs.rmSync(file, {force: true}));
+        console.warn('siteUrl is not configured in site.config.js, feeds and sitemap are skipped');
+    }
+    writeFile('./robots.txt', renderRobots(siteConfig));
+
+    // 集合数据，用于导航栏中的入口
+    writeFile('./data/collection-data.js', `const allCollections = ${JSON.stringify(collectionData, null, 4)};
+
+export default allCollections;`);
+
+    cache.save();
+    images.save();
+    console.log(`Images: ${images.stats.generated} generated, ${images.stats.reused} reused`);
+
+    console.log(`Processed ${articles.length} articles (${cache.stats.misses} parsed, ${cache.stats.hits} cached).`);
+
+    return articleData;
 }
 
 // Run the processing function
-processArticles();
+if (require.main === module) {
+    processArticles({
+        cache: !process.argv.includes('--no-cache'),
+        strict: process.argv.includes('--strict'),
+        preview: process.argv.includes('--preview')
+    }).catch(error => {
+        console.error('Error processing articles:', error);
+        process.exit(1);
+    });
+}
 
-module.exports = {processArticles, extractArticleInfo};
\ No newline at end of file
+module.exports = {processArticles, extractArticleInfo, collectTags, getMarkdownFiles, getSourceStatus};
@@ -0,0 +1,137 @@
+/**
+ * 图片处理：为封面与文章中的图片生成多种宽度与格式（avif、webp）的图片，以及模糊的占位图
+ * 生成的图片放在 siteConfig.images.outputDir 中，目录结构与原图一致，比如 /covers/dream.jpg -> /img/covers/dream-480.webp
+ * 处理结果记录在输出目录的 manifest.json 中，原图与配置都没有变化的时候直接使用，不会重复处理
+ */
+
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const {hashContent} = require('./build-cache');
+
+// 可以处理的图片，svg与gif不需要处理
+const supportedExtensions = ['.jpg', '.jpeg', '.png', '.webp', '.avif', '.tiff'];
+
+const mimeTypes = {
+    avif: 'image/avif',
+    webp: 'image/webp',
+    jpeg: 'image/jpeg',
+    png: 'image/png'
+};
+
+/**
+ * 创建图片处理器
+ * @param config {{outputDir: string, widths: number[], formats: string[], quality: number, placeholderWidth: number}} 图片配置
+ * @return {{process: function(string): Promise<ImageInfo|null>, save: function(): void, stats: {generated: number, reused: number}}}
+ */
+const createImagePipeline = (config) => {
+    const outputDir = config.outputDir;
+    const manifestFile = path.join(outputDir, 'manifest.json');
+    const manifest = fs.existsSync(manifestFile) ? JSON.parse(fs.readFileSync(manifestFile, 'utf-8')) : {};
+    const configHash = hashContent(JSON.stringify(config));
+    const used = {};
+    const pending = new Map();
+    const stats = {generated: 0, reused: 0};
+
+    /**
+     * 图片在站点中的地址对应的输出文件
+     */
+    const outputFile = (url) => path.join(outputDir, url);
+
+    /**
+     * 图片在站点中的访问地址
+     */
+    const outputUrl = (url) => '/' + path.relative('.', outputFile(url)).split(path.sep).join('/');
+
+    /**
+     * 生成一张图片的所有变体
+     * @param url {string} 原图的站内地址
+     * @param file {string} 原图文件
+     * @param hash {string} 原图与配置的哈希
+     */
+    const generate = async (url, file, hash) => {
+        const {width, height} = await sharp(file).metadata();
+        // 不放大图片，原图比配置的宽度小的时候直接使用原图的宽度
+        const widths = [...new Set([...config.widths.filter(w => w < width), Math.min(width, Math.max(...config.widths))])].sort((a, b) => a - b);
+        const parsed = path.parse(url);
+        const variants = [];
+        const sources = [];
+        for (const format of config.formats) {
+            const srcset = [];
+            for (const w of widths) {
+                const variantUrl = path.posix.join(parsed.dir, `${parsed.name}-${w}.${format}`);
+                const variantFile = outputFile(variantUrl);
+                fs.mkdirSync(path.dirname(variantFile), {recursive: true});
+                await sharp(file).resize(w).toFormat(format, {quality: config.quality}).toFile(variantFile);
+                variants.push(variantFile);
+                srcset.push(`${outputUrl(variantUrl)} ${w}w`);
+            }
+            sources.push({type: mimeTypes[format], srcset: srcset.join(', ')});
+        }
+        const placeholder = await sharp(file).resize(config.placeholderWidth).blur().webp({quality: 40}).toBuffer();
+        stats.generated++;
+        return {
+            hash,
+            variants,
+            info: {
+                width,
+                height,
+                placeholder: `data:image/webp;base64,${placeholder.toString('base64')}`,
+                sources,
+                // 最后一种格式（兼容性最好）中最小的一张
+                smallest: sources.length ? sources[sources.length - 1].srcset.split(' ')[0] : url
+            }
+        };
+    }
+
+    return {
+        stats,
+        /**
+         * 处理一张图片，不支持的格式或者不存在的图片返回 null
+         * @param url {string} 图片的站内地址，比如 /covers/dream.jpg
+         * @return {Promise<ImageInfo|null>}
+         */
+        async process(url) {
+            if (!url || !url.startsWith('/') || url.startsWith('//')) {
+                return null;
+            }
+            const file = path.join('.', url);
+            if (!supportedExtensions.includes(path.extname(file).toLowerCase()) || !fs.existsSync(file)) {
+                return null;
+            }
+            // 同一张图片可能被多篇文章引用，只处理一次
+            if (!pending.has(url)) {
+                pending.set(url, (async () => {
+                    const hash = hashContent(fs.readFileSync(file), configHash);
+                    const entry = manifest[url];
+                    if (entry && entry.hash === hash && entry.variants.every(variant => fs.existsSync(variant))) {
+                        stats.reused++;
+                        used[url] = entry;
+                    } else {
+                        console.log(`Generating images: ${url}`);
+                        used[url] = await generate(url, file, hash);
+                    }
+                    return used[url].info;
+                })());
+            }
+            return pending.get(url);
+        },
+        /**
+         * 保存处理结果，删除不再使用的图片
+         */
+        save() {
+            const keep = new Set(Object.values(used).flatMap(entry => entry.variants));
+            Object.values(manifest)
+                .flatMap(entry => entry.variants)
+                .filter(variant => !keep.has(variant))
+                .forEach(variant => fs.rmSync(variant, {force: true}));
+            fs.mkdirSync(outputDir, {recursive: true});
+            const content = JSON.stringify(used, null, 4);
+            if (!fs.existsSync(manifestFile) || fs.readFileSync(manifestFile, 'utf-8') !== content) {
+                fs.writeFileSync(manifestFile, content);
+            }
+        }
+    };
+}
+
+module.exports = {createImagePipeline};
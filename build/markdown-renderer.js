@@ -0,0 +1,110 @@
+/**
+ * 构建阶段使用的markdown渲染器
+ * 渲染使用浏览器端的 lib/markdown-renderer.js，这里提供在 node 中运行的 prism，保证预渲染的页面与客户端渲染的结果一致
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const {pathToFileURL} = require('url');
+
+const libDir = path.join(__dirname, '..', 'lib');
+const prismDir = path.join(libDir, 'prism');
+
+/**
+ * 在一个独立的沙箱中运行prism，prism的autoloader依赖document去插入script标签加载语言包，
+ * 这里给它一个假的document，把插入script的动作替换成在沙箱中直接执行对应的语言文件，
+ * 这样语言之间的依赖关系就直接复用autoloader里面的配置
+ */
+const createPrism = () => {
+    const fakeDocument = {
+        currentScript: null,
+        getElementsByTagName: () => [],
+        createElement: () => ({}),
+        body: {
+            appendChild(script) {
+                try {
+                    const code = fs.readFileSync(path.join(prismDir, 'components', path.basename(script.src)), 'utf-8');
+                    vm.runInContext(code, sandbox);
+                    script.onload();
+                } catch (error) {
+                    script.onerror(error);
+                }
+            },
+            removeChild() {
+            }
+        }
+    };
+    const sandbox = vm.createContext({document: fakeDocument, setTimeout, console});
+    vm.runInContext(fs.readFileSync(path.join(prismDir, 'prism-core.min.js'), 'utf-8'), sandbox);
+    vm.runInContext(fs.readFileSync(path.join(prismDir, 'prism-autoloader.min.js'), 'utf-8'), sandbox);
+    return sandbox.Prism;
+}
+
+const Prism = createPrism();
+
+/**
+ * 加载指定的语言，加载失败的语言（比如没有对应的语言包）不会抛出错误，渲染时按纯文本处理
+ * @param languages {string[]} 语言列表
+ * @return {Promise<void>}
+ */
+const loadLanguages = (languages) => {
+    const pending = languages.map(language => new Promise(resolve => {
+        Prism.plugins.autoloader.loadLanguages([language], resolve, resolve);
+    }));
+    return Promise.all(pending).then(() => undefined);
+}
+
+/**
+ * 加载 lib 目录下的模块，lib 目录是给浏览器使用的 esm 模块，需要通过动态 import 加载
+ * @param name {string} 文件名
+ * @return {Promise<Object>}
+ */
+const importLib = (name) => import(pathToFileURL(path.join(libDir, name)).href);
+
+/**
+ * 构建时的代码高亮，与浏览器端一样按需加载语言包
+ */
+const highlighter = {
+    load: loadLanguages,
+    highlight(code, language) {
+        const grammar = Prism.languages[language];
+        return grammar ? Prism.highlight(code, grammar, language) : null;
+    }
+};
+
+/**
+ * 把markdown渲染成html，代码块在构建时完成高亮
+ * @param markdownText {string} markdown 内容
+ * @param [options] {{resolveLink?: function(string, string): string}} resolveLink 用于改写链接与图片的地址，比如把 ./xxx.md 改成站点中的页面地址，第二个参数是 link 或者 image
+ * @return {Promise<string>} 渲染之后的html
+ */
+const renderMarkdown = async (markdownText, options = {}) => {
+    const {markdownToHtml} = await importLib('markdown-renderer.js');
+    return markdownToHtml(markdownText, {...options, highlighter});
+}
+
+/**
+ * 获取markdown中所有的链接，以及链接所在的章节（前面最近的一个标题）
+ * @param markdownText {string} markdown 内容
+ * @return {Promise<Array<{href: string, text: string, section: string}>>}
+ */
+const extractLinks = async (markdownText) => {
+    const {lexMarkdown, walkTokens} = await importLib('markdown-renderer.js');
+    const links = [];
+    let section = '';
+    for (const token of lexMarkdown(markdownText)) {
+        if (token.type === 'heading') {
+            section = token.text;
+            continue;
+        }
+        walkTokens([token], child => {
+            if (child.type === 'link') {
+                links.push({href: child.href, text: child.text, section});
+            }
+        });
+    }
+    return links;
+}
+
+module.exports = {importLib, renderMarkdown, extractLinks};
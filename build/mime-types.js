@@ -0,0 +1,34 @@
+/**
+ * 文件的 Content-Type，开发服务器与部署共用
+ */
+
+const path = require('path');
+
+const mimeTypes = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.mjs': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.xml': 'application/xml; charset=utf-8',
+    '.md': 'text/markdown; charset=utf-8',
+    '.txt': 'text/plain; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.webp': 'image/webp',
+    '.avif': 'image/avif',
+    '.ico': 'image/x-icon',
+    '.woff2': 'font/woff2'
+};
+
+/**
+ * 根据文件的扩展名获取 Content-Type
+ * @param file {string}
+ * @return {string}
+ */
+const getContentType = (file) => mimeTypes[path.extname(file).toLowerCase()] || 'application/octet-stream';
+
+module.exports = {getContentType};
@@ -0,0 +1,244 @@
+/**
+ * 静态页面模板，构建时为每篇文章生成一个完整的html页面，结构与 pages/article.html 保持一致
+ */
+
+const {importLib} = require('./markdown-renderer');
+
+// 与浏览器端共用的模板函数（lib/html.js 与 lib/article-meta.js），ES 模块只能异步加载，生成页面之前需要调用 loadTemplateHelpers
+let helpers = null;
+
+/**
+ * 加载 lib 中共用的模板函数
+ * @return {Promise<void>}
+ */
+const loadTemplateHelpers = async () => {
+    if (!helpers) {
+        helpers = {...await importLib('html.js'), ...await importLib('article-meta.js')};
+    }
+}
+
+/**
+ * 转义html中的特殊字符，feed 与 sitemap 也使用这个函数
+ * @param [text] {*}
+ * @return {string}
+ */
+const escapeHtml = (text) => helpers.escapeHtml(text);
+
+/**
+ * 预览模式下没有发布的文章显示草稿的标记
+ * @param article {Article}
+ * @return {string}
+ */
+const renderStatusBadge = (article) => helpers.renderStatusBadge(article);
+
+/**
+ * 生成文章的标签链接，点击跳转到首页按标签筛选的列表
+ * @param tags {string[]}
+ * @return {string}
+ */
+const renderTagLinks = (tags) => helpers.renderTagLinks(tags);
+
+/**
+ * 页面的公共结构，与 pages/article.html 保持一致，页面中有公式（KaTeX 渲染的结果）的时候才引入公式的样式
+ * @param options {{title: string, description?: string, cover?: string, main: string, articleScript?: boolean}}
+ * articleScript: 是否引入文章页面的脚本（阅读进度、标题锚点、相关文章等），不是文章的页面（比如归档）不需要
+ * @return {string}
+ */
+const renderLayout = ({title, description, cover, main, articleScript = true}) => `<!DOCTYPE html>
+<html lang="zh-CN">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title id="page-title">${escapeHtml(title)} - Mortal's Blog</title>
+    <meta name="description" content="${escapeHtml(description)}">
+    <link rel="stylesheet" href="/public/css/base.css">
+    <link rel="stylesheet" href="/public/css/article.css">
+${main.includes('class="katex') ? '    <link rel="stylesheet" href="/lib/katex/katex.min.css">\n' : ''}    <link rel="icon" href="/public/images/logo.svg" type="image/svg+xml">
+    <link rel="alternate" type="application/rss+xml" title="Mortal's Blog" href="/feed.xml">
+    <link rel="alternate" type="application/atom+xml" title="Mortal's Blog" href="/atom.xml">
+    <link rel="alternate" type="application/feed+json" title="Mortal's Blog" href="/feed.json">
+    <script src="/public/component/header.js" type="module"></script>
+</head>
+<body>
+<!-- Header section -->
+<global-header></global-header>
+
+<img id="article-cover" class="global-bg" alt="" src="${escapeHtml(cover)}"/>
+
+<!-- Main content -->
+<main class="main container">
+${main}
+</main>
+${articleScript ? '\n<script src="/public/js/article.js" type="module"></script>\n' : ''}</body>
+</html>
+`;
+
+/**
+ * 集合的侧边栏目录，高亮当前页面
+ * @param collection {Object} 集合配置
+ * @param toc {Array<{title: string, items: Array<{title: string, url: string}>}>} 目录
+ * @param currentUrl {string} 当前页面的地址
+ * @return {string}
+ */
+const renderCollectionToc = (collection, toc, currentUrl) => `<aside class="series-toc">
+        <a class="series-title${collection.path === currentUrl ? ' active' : ''}" href="${collection.path}">${escapeHtml(collection.title)}</a>
+${toc.map(group => `        <div class="series-toc-group">
+            <h4>${escapeHtml(group.title)}</h4>
+            <ul>
+${group.items.map(item => `                <li><a href="${item.url}"${item.url === currentUrl ? ' class="active"' : ''}>${escapeHtml(item.title)}</a></li>`).join('\n')}
+            </ul>
+        </div>`).join('\n')}
+    </aside>`;
+
+/**
+ * 上一篇与下一篇的导航
+ * @param article {Article}
+ * @return {string}
+ */
+const renderArticleNav = (article) => {
+    if (!article.prev && !article.next) {
+        return '';
+    }
+    const link = (target, label, className) => target
+        ? `<a class="${className}" href="${target.url}"><span>${label}</span>${escapeHtml(target.title)}</a>`
+        : '<span></span>';
+    return `
+        <nav class="article-nav">
+            ${link(article.prev, '上一篇', 'article-nav-prev')}
+            ${link(article.next, '下一篇', 'article-nav-next')}
+        </nav>`;
+}
+
+/**
+ * 生成文章详情页面
+ * @param article {import('../public/js/types/def').Article} 文章信息
+ * @param contentHtml {string} 渲染好的文章内容
+ * @param [options] {{collection?: Object, toc?: Array, outline?: string}} 文章所属的集合与集合的目录，有目录的时候生成侧边栏；outline 为文章本身的目录
+ * @return {string}
+ */
+const renderArticlePage = (article, contentHtml, options = {}) => {
+    const {collection, toc, outline = ''} = options;
+    // 不出现在首页列表中的集合，标签筛选不到这些文章，改为链接到集合的落地页
+    const tags = !collection || collection.listed
+        ? renderTagLinks(article.tags)
+        : `<a class="article-tag" href="${collection.path}">${escapeHtml(collection.title)}</a>`;
+    const detail = `    <article class="article-detail" data-url="${escapeHtml(article.url)}">
+        <header class="article-header">
+            <h1 class="article-title" id="article-title">${escapeHtml(article.title)}</h1>
+            <div class="article-meta">
+                ${article.date ? `<span id="article-date">${escapeHtml(article.date)}</span>` : ''}
+                <span id="article-word-count">${article.wordCount} 字</span>
+                <span id="article-reading-time">约 ${article.readingTime} 分钟</span>${renderStatusBadge(article)}
+                <span id="article-tags">${tags}</span>
+            </div>
+        </header>
+        <div class="article-body">
+            <div class="article-content markdown-body" id="article-content" data-theme="dark" data-prerendered>
+                <div class="markdown-body">
+${contentHtml}
+                </div>
+            </div>${outline}
+        </div>${renderArticleNav(article)}
+    </article>`;
+    return renderLayout({
+        title: article.title,
+        description: article.preview,
+        // 背景图是模糊的，使用最小的一张就够了
+        cover: article.coverImage ? article.coverImage.smallest : article.cover,
+        main: toc ? `<div class="series-layout">
+    ${renderCollectionToc(collection, toc, article.url)}
+${detail}
+</div>` : detail
+    });
+}
+
+/**
+ * 生成集合的落地页，内容来自集合的目录页
+ * @param collection {Object} 集合配置
+ * @param page {{title: string, html: string, cover: string}} 目录页的标题、渲染好的内容与背景图
+ * @param toc {Array} 集合的目录
+ * @return {string}
+ */
+const renderCollectionPage = (collection, page, toc) => renderLayout({
+    title: page.title,
+    description: collection.desc,
+    cover: page.cover,
+    main: `<div class="series-layout">
+    ${renderCollectionToc(collection, toc, collection.path)}
+    <article class="article-detail">
+        <header class="article-header">
+            <h1 class="article-title" id="article-title">${escapeHtml(page.title)}</h1>
+        </header>
+        <div class="article-content markdown-body" id="article-content" data-theme="dark" data-prerendered>
+            <div class="markdown-body">
+${page.html}
+            </div>
+        </div>
+    </article>
+</div>`
+});
+
+// 归档页面的背景图，与首页保持一致
+const archiveCover = '/covers/wanxia001.jpg';
+
+/**
+ * 按年、月对文章分组，没有日期的文章放在最后
+ * @param articles {Array<Article>} 按日期从新到旧排列的文章
+ * @return {Array<{year: string, count: number, months: Array<{month: string, articles: Array<Article>}>}>}
+ */
+const groupByMonth = (articles) => {
+    const years = [];
+    for (const article of articles) {
+        const match = /^(\d{4})-(\d{2})/.exec(article.date || '');
+        const year = match ? match[1] : '';
+        const month = match ? match[2] : '';
+        let group = years.find(item => item.year === year);
+        if (!group) {
+            group = {year, count: 0, months: []};
+            years.push(group);
+        }
+        let monthGroup = group.months.find(item => item.month === month);
+        if (!monthGroup) {
+            monthGroup = {month, articles: []};
+            group.months.push(monthGroup);
+        }
+        group.count++;
+        monthGroup.articles.push(article);
+    }
+    return years;
+}
+
+/**
+ * 归档页面，按年、月列出所有的文章以及每个月的文章数量
+ * @param articles {Array<Article>} 按日期从新到旧排列的文章
+ * @return {string}
+ */
+const renderArchivePage = (articles) => renderLayout({
+    title: '归档',
+    description: `共 ${articles.length} 篇文章`,
+    cover: archiveCover,
+    articleScript: false,
+    main: `<article class="article-detail archive">
+        <header class="article-header">
+            <h1 class="article-title" id="article-title">归档</h1>
+            <div class="article-meta">
+                <span>共 ${articles.length} 篇文章</span>
+            </div>
+        </header>
+        <div class="article-content" id="article-content" data-prerendered>
+${groupByMonth(articles).map(({year, count, months}) => `            <section class="archive-year">
+                <h2 class="archive-year-title">${year || '未注明日期'}<span class="archive-count">${count} 篇</span></h2>
+${months.map(({month, articles: items}) => `                <section class="archive-month">
+${month ? `                    <h3 class="archive-month-title">${Number(month)} 月<span class="archive-count">${items.length} 篇</span></h3>\n` : ''}                    <ul class="archive-list">
+${items.map(article => `                        <li class="archive-item">
+                            <time class="archive-date">${escapeHtml((article.date || '').slice(5, 10))}</time>
+                            <a href="${escapeHtml(article.url)}">${escapeHtml(article.title)}</a>${renderStatusBadge(article)}
+                        </li>`).join('\n')}
+                    </ul>
+                </section>`).join('\n')}
+            </section>`).join('\n')}
+        </div>
+    </article>`
+});
+
+module.exports = {escapeHtml, loadTemplateHelpers, renderArticlePage, renderCollectionPage, renderArchivePage};
@@ -0,0 +1,58 @@
+/**
+ * 首页文章列表的分页数据，文章数据按页拆分成多个 json 文件，浏览器端按需加载
+ * 全部文章与每个标签各自分页，清单 data/article-pages.js 记录每个列表的分页文件：
+ * {
+ *     pageSize: number,                    // 每页的文章数量
+ *     mode: 'scroll' | 'pages',            // 滚动加载或者显示页码
+ *     total: number,                       // 文章总数
+ *     lists: {tag: [url]},                 // 标签 -> 分页文件的地址，空字符串表示全部文章
+ *     articles: {url: number}              // 文章页面的地址 -> 在全部文章中的页码，从 1 开始，不同集合的文件名可能相同，不能用文件名
+ * }
+ */
+
+const crypto = require('crypto');
+
+// 分页文件的目录与访问地址
+const pagesDir = './data/article-pages';
+const pagesUrl = '/data/article-pages';
+
+/**
+ * 列表的分页文件名前缀，标签名可能包含中文等字符，使用哈希作为文件名
+ * @param tag {string} 空字符串表示全部文章
+ * @return {string}
+ */
+const listKey = (tag) => tag ? `tag-${crypto.createHash('sha1').update(tag).digest('hex').slice(0, 8)}` : 'all';
+
+/**
+ * 把文章按页拆分
+ * @param articles {Array<Article>} 按日期从新到旧排列的文章
+ * @param tags {Array<{name: string}>} 所有的标签
+ * @param options {{pageSize: number, mode: string}} 分页配置
+ * @return {{manifest: Object, files: Map<string, Array<Article>>}} 清单与分页文件（文件名 -> 文章）
+ */
+const paginateArticles = (articles, tags, options) => {
+    const pageSize = Math.max(1, options.pageSize);
+    const files = new Map();
+    const lists = {};
+    for (const tag of ['', ...tags.map(item => item.name)]) {
+        const items = tag ? articles.filter(article => article.tags.includes(tag)) : articles;
+        lists[tag] = [];
+        for (let page = 0; page * pageSize < items.length; page++) {
+            const file = `${listKey(tag)}-${page + 1}.json`;
+            files.set(file, items.slice(page * pageSize, (page + 1) * pageSize));
+            lists[tag].push(`${pagesUrl}/${file}`);
+        }
+    }
+    return {
+        manifest: {
+            pageSize,
+            mode: options.mode === 'pages' ? 'pages' : 'scroll',
+            total: articles.length,
+            lists,
+            articles: Object.fromEntries(articles.map((article, i) => [article.url, Math.floor(i / pageSize) + 1]))
+        },
+        files
+    };
+}
+
+module.exports = {pagesDir, paginateArticles};
@@ -0,0 +1,84 @@
+/**
+ * 相关文章：综合共同的标签与正文的相似度（TF-IDF 向量的余弦相似度）为每篇文章挑选最相关的几篇
+ * 正文的分词与全文搜索使用同一个分词器，中文按相邻两个字切分
+ */
+
+const {importLib} = require('./markdown-renderer');
+
+// 每篇文章的相关文章数量
+const relatedSize = 3;
+
+// 每个共同的标签增加的分数，正文相似度的范围是 0 到 1
+const tagWeight = 0.2;
+
+// 分数太低的文章没有什么关联，不作为相关文章
+const minScore = 0.05;
+
+/**
+ * 计算每篇文章正文的 TF-IDF 向量，向量已经归一化，点积即为余弦相似度
+ * @param texts {string[]}
+ * @param tokenize {function(string): string[]}
+ * @return {Array<Map<string, number>>}
+ */
+const buildVectors = (texts, tokenize) => {
+    const frequencies = texts.map(text => {
+        const counts = new Map();
+        tokenize(text).forEach(token => counts.set(token, (counts.get(token) || 0) + 1));
+        return counts;
+    });
+    const documentCounts = new Map();
+    frequencies.forEach(counts => counts.forEach((count, token) => documentCounts.set(token, (documentCounts.get(token) || 0) + 1)));
+    return frequencies.map(counts => {
+        const vector = new Map();
+        let norm = 0;
+        counts.forEach((count, token) => {
+            const weight = (1 + Math.log(count)) * Math.log(texts.length / documentCounts.get(token));
+            if (weight > 0) {
+                vector.set(token, weight);
+                norm += weight * weight;
+            }
+        });
+        norm = Math.sqrt(norm);
+        if (norm) {
+            vector.forEach((weight, token) => vector.set(token, weight / norm));
+        }
+        return vector;
+    });
+}
+
+/**
+ * 两个归一化向量的余弦相似度
+ * @param a {Map<string, number>}
+ * @param b {Map<string, number>}
+ * @return {number}
+ */
+const cosine = (a, b) => {
+    const [small, large] = a.size < b.size ? [a, b] : [b, a];
+    let sum = 0;
+    small.forEach((weight, token) => sum += weight * (large.get(token) || 0));
+    return sum;
+}
+
+/**
+ * 为每篇文章设置相关文章，上一篇与下一篇已经有入口，不再作为相关文章
+ * @param articles {Array<Article & {text: string}>}
+ * @return {Promise<void>}
+ */
+const linkRelated = async (articles) => {
+    const {tokenize} = await importLib('search-tokenizer.js');
+    const vectors = buildVectors(articles.map(article => article.text), tokenize);
+    articles.forEach((article, i) => {
+        const excluded = new Set([article.prev, article.next].filter(Boolean).map(neighbour => neighbour.url));
+        article.related = articles
+            .map((other, j) => ({
+                other,
+                score: i === j ? 0 : other.tags.filter(tag => article.tags.includes(tag)).length * tagWeight + cosine(vectors[i], vectors[j])
+            }))
+            .filter(({other, score}) => score >= minScore && !excluded.has(other.url))
+            .sort((a, b) => b.score - a.score)
+            .slice(0, relatedSize)
+            .map(({other}) => ({title: other.title, url: other.url}));
+    });
+}
+
+module.exports = {linkRelated};
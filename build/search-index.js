@@ -0,0 +1,70 @@
+/**
+ * 构建全文搜索的倒排索引
+ * 索引文件在用户第一次搜索的时候才会被加载，结构如下：
+ * {
+ *     docs: [{...card, excerpt}],      // 文章卡片需要的字段（cardFields）与正文开头的一段纯文本，用于生成搜索结果的摘要
+ *     lengths: [number],               // 每篇文章的词数，用于排序时做长度归一化
+ *     terms: {term: [doc, tf, ...]}    // 词 -> 出现的文章下标与加权词频，两两一组平铺，减小体积
+ * }
+ * 完整的正文只用于建立倒排索引，不写入索引文件，索引的体积不会随着文章的长度增长
+ */
+
+const {importLib} = require('./markdown-renderer');
+
+// 不同字段的权重，标题和标签命中的文章应该排在前面
+const fieldWeights = {
+    title: 5,
+    tags: 3,
+    preview: 2,
+    text: 1
+};
+
+// 摘要使用的正文长度，命中的位置在这之后的时候搜索结果显示正文的开头
+const excerptLength = 300;
+
+// 搜索结果的文章卡片需要的字段，其他的字段（图片信息、上一篇、相关文章等）不写入索引，减小索引的体积
+const cardFields = ['title', 'url', 'date', 'cover', 'coverImage', 'tags', 'wordCount', 'preview', 'status', 'publishAt'];
+
+/**
+ * 文章卡片需要的字段，没有值的字段不写入
+ * @param article {Article}
+ * @return {Object}
+ */
+const toCard = (article) => Object.fromEntries(cardFields
+    .filter(field => article[field] !== undefined)
+    .map(field => [field, article[field]]));
+
+/**
+ * 构建搜索索引
+ * @param articles {Array<Article & {text: string}>} 文章列表，text 为正文的纯文本
+ * @return {Promise<{docs: Array<Object>, lengths: number[], terms: Object<string, number[]>}>}
+ */
+const buildSearchIndex = async (articles) => {
+    const {tokenize} = await importLib('search-tokenizer.js');
+    const terms = {};
+    const lengths = [];
+
+    articles.forEach((article, doc) => {
+        const frequencies = new Map();
+        let length = 0;
+        for (const [field, weight] of Object.entries(fieldWeights)) {
+            const value = Array.isArray(article[field]) ? article[field].join(' ') : article[field];
+            for (const token of tokenize(value)) {
+                frequencies.set(token, (frequencies.get(token) || 0) + weight);
+                length += weight;
+            }
+        }
+        lengths.push(length);
+        for (const [token, tf] of frequencies) {
+            (terms[token] = terms[token] || []).push(doc, tf);
+        }
+    });
+
+    return {
+        docs: articles.map(article => ({...toCard(article), excerpt: article.text.slice(0, excerptLength)})),
+        lengths,
+        terms
+    };
+}
+
+module.exports = {buildSearchIndex};
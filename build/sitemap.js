@@ -0,0 +1,61 @@
+/**
+ * 搜索引擎使用的 sitemap.xml 与 robots.txt
+ * 包含首页、归档、关于等固定页面，所有已经发布的文章与落地页，以及首页按标签筛选的列表
+ */
+
+const {escapeHtml} = require('./page-template');
+const {absoluteUrl} = require('./feed');
+
+// 不是由文章生成的页面，list 表示页面随着文章的发布而更新
+const staticPages = [
+    {url: '/', list: true},
+    {url: '/archive/', list: true},
+    {url: '/pages/about.html'}
+];
+
+/**
+ * sitemap 中的日期只保留年月日，文章的日期是 YYYY-MM-DD 格式，可能带有时间
+ * @param date {string}
+ * @return {string|null}
+ */
+const formatDate = (date) => {
+    const match = /^\d{4}-\d{2}-\d{2}/.exec(date || '');
+    return match ? match[0] : null;
+}
+
+/**
+ * sitemap.xml
+ * @param pages {Array<Article>} 已经发布的文章与落地页，不能包含草稿与定时发布的文章
+ * @param tags {Array<{name: string}>} 已经发布的文章的标签
+ * @param config {Object} 站点配置
+ * @return {string}
+ */
+const renderSitemap = (pages, tags, config) => {
+    // 首页与标签列表的更新时间取最新一篇文章的日期
+    const latest = pages.map(page => formatDate(page.date)).filter(Boolean).sort().pop() || null;
+    const entries = [
+        ...staticPages.map(page => ({url: page.url, date: page.list ? latest : null})),
+        ...tags.map(tag => ({url: `/?tag=${encodeURIComponent(tag.name)}`, date: latest})),
+        ...pages.map(page => ({url: page.url, date: formatDate(page.date)}))
+    ];
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${entries.map(({url, date}) => `    <url>
+        <loc>${escapeHtml(absoluteUrl(config.siteUrl, url))}</loc>
+${date ? `        <lastmod>${date}</lastmod>\n` : ''}    </url>`).join('\n')}
+</urlset>
+`;
+}
+
+/**
+ * robots.txt，pages/article.html 是客户端渲染的文章页面，与预渲染的页面重复，不需要收录
+ * 没有配置站点地址的时候不生成 sitemap，也就不声明 sitemap 的地址
+ * @param config {Object} 站点配置
+ * @return {string}
+ */
+const renderRobots = (config) => `User-agent: *
+Allow: /
+Disallow: /pages/article.html
+${config.siteUrl ? `\nSitemap: ${absoluteUrl(config.siteUrl, '/sitemap.xml')}\n` : ''}`;
+
+module.exports = {renderSitemap, renderRobots};
@@ -0,0 +1,177 @@
+/**
+ * 文章的校验与构建诊断信息
+ * - 解析阶段：按照 metaSchema 校验 <meta> 中的属性，记录文章中引用的图片与链接
+ * - 校验阶段：每次构建都会执行（不受构建缓存影响），检查封面与图片是否存在、slug是否重复、站内链接是否有效
+ * 默认只输出诊断信息，使用 --strict 参数的时候，有任何错误或者警告都会让构建失败
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * 文章 <meta> 标签的属性定义
+ * - type: string 字符串，date 日期（YYYY-MM-DD），datetime 日期或者日期加时间（YYYY-MM-DD HH:mm），
+ *   boolean true 或者 false，list 以逗号或顿号分隔的列表，image 站内图片地址
+ * - required: true 必须填写，'date' 只有按日期排序的集合中必须填写
+ */
+const metaSchema = {
+    title: {type: 'string', required: true},
+    date: {type: 'date', required: 'date'},
+    cover: {type: 'image'},
+    tags: {type: 'list'},
+    desc: {type: 'string'},
+    draft: {type: 'boolean'},
+    publishAt: {type: 'datetime'}
+};
+
+/**
+ * 计算字符串中某个位置所在的行号，从1开始
+ * @param content {string}
+ * @param index {number}
+ * @return {number}
+ */
+const lineOf = (content, index) => content.slice(0, Math.max(index, 0)).split('\n').length;
+
+/**
+ * 判断日期是否合法
+ * @param value {string}
+ * @return {boolean}
+ */
+const isValidDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(new Date(value).getTime());
+
+/**
+ * 解析日期或者日期加时间，都按照构建机器的本地时间处理，只有日期的时候是当天的0点
+ * @param value {string} YYYY-MM-DD、YYYY-MM-DD HH:mm 或者 YYYY-MM-DDTHH:mm:ss
+ * @return {Date|null} 格式不正确的时候返回 null
+ */
+const parseDateTime = (value) => {
+    const match = /^(\d{4}-\d{2}-\d{2})(?:[ T](\d{2}:\d{2}(?::\d{2})?))?$/.exec(value || '');
+    if (!match) {
+        return null;
+    }
+    const time = new Date(`${match[1]}T${match[2] || '00:00'}`);
+    return isNaN(time.getTime()) ? null : time;
+}
+
+/**
+ * 按照 metaSchema 校验文章的属性
+ * @param data {Object} meta中解析出来的属性
+ * @param lines {Object<string, number>} 每个属性所在的行号
+ * @param collection {Object} 文章所属的集合
+ * @return {Array<{level: 'error'|'warning', line: number, message: string}>}
+ */
+const validateMeta = (data, lines, collection) => {
+    const issues = [];
+    const metaLine = lines.meta || 1;
+    if (!lines.meta && !data.title) {
+        issues.push({level: 'warning', line: 1, message: '文件头部没有 <meta ... /> 标签，也没有可以作为标题的标题行'});
+    }
+    for (const [key, rule] of Object.entries(metaSchema)) {
+        const value = data[key];
+        const required = rule.required === true || (rule.required === 'date' && collection.order !== 'index');
+        if (value === undefined || value === '' || (Array.isArray(value) && !value.length)) {
+            if (required) {
+                issues.push({level: 'error', line: metaLine, message: `缺少必填的属性 ${key}`});
+            }
+            continue;
+        }
+        if (rule.type === 'date' && !isValidDate(value)) {
+            issues.push({level: 'error', line: lines[key], message: `${key} 不是合法的日期（YYYY-MM-DD）: ${value}`});
+        }
+        if (rule.type === 'datetime' && !parseDateTime(value)) {
+            issues.push({level: 'error', line: lines[key], message: `${key} 不是合法的时间（YYYY-MM-DD 或者 YYYY-MM-DD HH:mm）: ${value}`});
+        }
+        if (rule.type === 'boolean' && value !== 'true' && value !== 'false') {
+            issues.push({level: 'error', line: lines[key], message: `${key} 只能是 true 或者 false: ${value}`});
+        }
+    }
+    Object.keys(data)
+        .filter(key => !metaSchema[key] && lines[key])
+        .forEach(key => issues.push({level: 'warning', line: lines[key], message: `未知的属性 ${key}`}));
+    return issues;
+}
+
+/**
+ * 判断站内地址是否有效，先看是否是本次构建生成的页面，再看仓库中是否存在对应的文件
+ * @param url {string} 站内的绝对地址
+ * @param pageUrls {Set<string>} 本次构建生成的页面
+ * @return {boolean} 地址中有无效的转义序列的时候也是无效的
+ */
+const isValidSiteUrl = (url, pageUrls) => {
+    let pathname;
+    try {
+        pathname = decodeURIComponent(url.split(/[?#]/)[0]);
+    } catch (error) {
+        return false;
+    }
+    if (pageUrls.has(pathname)) {
+        return true;
+    }
+    const file = path.join('.', pathname);
+    return [file, path.join(file, 'index.html'), file + '.html']
+        .some(candidate => fs.existsSync(candidate) && fs.statSync(candidate).isFile());
+}
+
+/**
+ * 创建诊断信息的收集器
+ */
+const createDiagnostics = () => {
+    const items = [];
+    return {
+        items,
+        add(level, file, line, message) {
+            items.push({level, file, line, message});
+        },
+        get errors() {
+            return items.filter(item => item.level === 'error').length;
+        },
+        get warnings() {
+            return items.filter(item => item.level === 'warning').length;
+        },
+        /**
+         * 按文件与行号输出所有的诊断信息
+         */
+        report() {
+            const sorted = [...items].sort((a, b) => a.file.localeCompare(b.file) || a.line - b.line);
+            for (const item of sorted) {
+                const log = item.level === 'error' ? console.error : console.warn;
+                log(`${item.level === 'error' ? '❌ error' : '⚠️  warning'} ${item.file}:${item.line} ${item.message}`);
+            }
+            if (items.length) {
+                console.log(`Diagnostics: ${this.errors} errors, ${this.warnings} warnings`);
+            }
+        }
+    };
+}
+
+/**
+ * 校验所有的文章
+ * @param articles {Array<Article & {source: Object}>} 所有集合中的文章，包括不在首页列表中的
+ * @param pageUrls {Set<string>} 本次构建生成的所有页面地址
+ * @param diagnostics {Object} 诊断信息收集器
+ */
+const validateArticles = (articles, pageUrls, diagnostics) => {
+    const slugs = new Map();
+    for (const article of articles) {
+        const {file, lines, issues, refs} = article.source;
+        issues.forEach(issue => diagnostics.add(issue.level, file, issue.line, issue.message));
+
+        if (article.cover && article.cover.startsWith('/') && !isValidSiteUrl(article.cover, pageUrls)) {
+            diagnostics.add('error', file, lines.cover || 1, `封面图片不存在: ${article.cover}`);
+        }
+        for (const ref of refs) {
+            if (ref.url.startsWith('/') && !ref.url.startsWith('//') && !isValidSiteUrl(ref.url, pageUrls)) {
+                diagnostics.add(ref.image ? 'error' : 'warning', file, ref.line, `${ref.image ? '图片不存在' : '无效的站内链接'}: ${ref.href}`);
+            }
+        }
+
+        const key = `${article.collection}/${article.slug}`;
+        if (slugs.has(key)) {
+            diagnostics.add('error', file, 1, `slug 重复: ${article.slug}，与 ${slugs.get(key)} 生成的页面地址相同`);
+        } else {
+            slugs.set(key, file);
+        }
+    }
+}
+
+module.exports = {metaSchema, lineOf, parseDateTime, validateMeta, createDiagnostics, validateArticles};
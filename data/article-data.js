@@ -1,48 +0,0 @@
-const allArticles = [
-    {
-        "title": "余生愿望清单",
-        "filePath": "0004.2025-yuanwang.md",
-        "cover": "/covers/dream.jpg",
-        "date": "2025-12-10",
-        "wordCount": 47,
-        "preview": "如果可以，我想重活一次",
-        "tags": [
-            "随笔"
-        ]
-    },
-    {
-        "title": "诗",
-        "filePath": "0003.2025-gushi.md",
-        "cover": "/covers/libai.jpg",
-        "date": "2025-12-05",
-        "wordCount": 1052,
-        "preview": "朝辞白帝彩云间，千里江陵一日还，两岸猿声啼不住，轻舟已过万重山",
-        "tags": [
-            "随笔"
-        ]
-    },
-    {
-        "title": "《2025年终总结》",
-        "filePath": "0002.2025-how-to-live.md",
-        "cover": "/covers/dongxiexidu.jpg",
-        "date": "2025-12-02",
-        "wordCount": 750,
-        "preview": "以前看见山，就想知道山的后面是什么，现在我不想知道了。",
-        "tags": [
-            "随笔"
-        ]
-    },
-    {
-        "title": "开篇",
-        "filePath": "0001.2025-start.md",
-        "cover": "/covers/hello-world.jpg",
-        "date": "2025-11-25",
-        "wordCount": 957,
-        "preview": "道生一，一生二，二生三，三生万物。",
-        "tags": [
-            "随笔"
-        ]
-    }
-];
-
-export default allArticles;
\ No newline at end of file
@@ -0,0 +1,21 @@
+const articlePages = {
+    "pageSize": 12,
+    "mode": "scroll",
+    "total": 4,
+    "lists": {
+        "": [
+            "/data/article-pages/all-1.json"
+        ],
+        "随笔": [
+            "/data/article-pages/tag-78da4c85-1.json"
+        ]
+    },
+    "articles": {
+        "/posts/0004.2025-yuanwang/": 1,
+        "/posts/0003.2025-gushi/": 1,
+        "/posts/0002.2025-how-to-live/": 1,
+        "/posts/0001.2025-start/": 1
+    }
+};
+
+export default articlePages;
\ No newline at end of file
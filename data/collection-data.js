@@ -0,0 +1,23 @@
+const allCollections = [
+    {
+        "name": "articles",
+        "title": "文章",
+        "path": "/posts/",
+        "listed": true,
+        "landing": false,
+        "count": 4,
+        "dir": "/articles/"
+    },
+    {
+        "name": "design-patterns",
+        "title": "设计模式",
+        "path": "/series/design-patterns/",
+        "listed": false,
+        "landing": true,
+        "count": 23,
+        "dir": "/@articles/",
+        "index": "index.md"
+    }
+];
+
+export default allCollections;
\ No newline at end of file
@@ -0,0 +1,8 @@
+const allTags = [
+    {
+        "name": "随笔",
+        "count": 4
+    }
+];
+
+export default allTags;
\ No newline at end of file
@@ -0,0 +1,27 @@
+import {escapeHtml} from "./html.js";
+
+/**
+ * 文章信息中的标签链接与草稿标记，构建时的预渲染页面（build/page-template.js）与浏览器端共用
+ */
+
+/**
+ * 预览模式下没有发布的文章显示草稿的标记
+ * @param article {{status?: string, publishAt?: string, date?: string}}
+ * @return {string}
+ */
+export const renderStatusBadge = (article) => {
+    if (!article.status || article.status === "published") {
+        return "";
+    }
+    const title = article.status === "scheduled" ? `定时发布：${article.publishAt || article.date}` : "未发布的草稿";
+    return `<span class="article-status" title="${escapeHtml(title)}">草稿</span>`;
+}
+
+/**
+ * 生成文章的标签链接，点击跳转到首页按标签筛选的列表
+ * @param tags {string[]}
+ * @return {string}
+ */
+export const renderTagLinks = (tags) => tags
+    .map(tag => `<a class="article-tag" href="/?tag=${encodeURIComponent(tag)}">${escapeHtml(tag)}</a>`)
+    .join(" ");
@@ -0,0 +1,71 @@
+/**
+ * 标题锚点与文章目录，构建时与浏览器端共用，保证两边生成的标题id一致
+ * 标题id由标题文字生成，保留中文等文字与数字，去掉标点，标题不变的情况下id不会变化，可以放心地分享带锚点的链接
+ */
+
+import {escapeHtml} from "./html.js";
+
+// marked 生成的标题标签，带有属性的标题（比如文章中手写的html）保持原样
+const headingRegex = /<h([1-6])>([\s\S]*?)<\/h\1>/g;
+
+/**
+ * 去掉html标签并还原常见的转义字符，得到标题的纯文本
+ * @param html {string}
+ * @return {string}
+ */
+const toText = (html) => html.replace(/<[^>]+>/g, "")
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&amp;/g, "&")
+    .trim();
+
+/**
+ * 由标题文字生成id，比如 "1. 什么是单例模式？" -> "1-什么是单例模式"
+ * @param text {string} 标题的纯文本
+ * @return {string}
+ */
+export const slugify = (text) => text
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s_-]/gu, "")
+    .trim()
+    .replace(/\s+/g, "-") || "section";
+
+/**
+ * 为html中的标题加上id与锚点链接，重复的标题依次加上 -1、-2 后缀
+ * @param html {string}
+ * @return {{html: string, headings: Array<{level: number, id: string, text: string}>}}
+ */
+export const addHeadingAnchors = (html) => {
+    const headings = [];
+    const counts = new Map();
+    const result = html.replace(headingRegex, (tag, level, content) => {
+        const text = toText(content);
+        const base = slugify(text);
+        const count = counts.get(base) || 0;
+        counts.set(base, count + 1);
+        const id = count ? `${base}-${count}` : base;
+        headings.push({level: Number(level), id, text});
+        const href = `#${encodeURIComponent(id)}`;
+        return `<h${level} id="${escapeHtml(id)}">${content}<a class="heading-anchor" href="${href}" aria-label="复制本节链接">#</a></h${level}>`;
+    });
+    return {html: result, headings};
+}
+
+/**
+ * 生成文章目录，只包含最高的两级标题，标题太少的文章不需要目录
+ * @param headings {Array<{level: number, id: string, text: string}>}
+ * @return {string}
+ */
+export const renderToc = (headings) => {
+    const top = Math.min(...headings.map(heading => heading.level));
+    const items = headings.filter(heading => heading.level <= top + 1);
+    if (items.length < 2) {
+        return "";
+    }
+    const links = items
+        .map(heading => `<li class="toc-level-${heading.level - top + 1}"><a href="#${encodeURIComponent(heading.id)}">${escapeHtml(heading.text)}</a></li>`)
+        .join("");
+    return `<nav class="article-toc" aria-label="目录"><div class="article-toc-title">目录</div><ul>${links}</ul></nav>`;
+}
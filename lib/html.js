@@ -0,0 +1,19 @@
+/**
+ * html 相关的工具函数，构建时与浏览器端共用
+ */
+
+// 需要转义的字符，同时适用于文本与属性值
+const escapes = {
+    "&": "&amp;",
+    "<": "&lt;",
+    ">": "&gt;",
+    '"': "&quot;",
+    "'": "&#39;"
+};
+
+/**
+ * 转义html中的特殊字符
+ * @param [text] {*} 非字符串的值会先转换成字符串
+ * @return {string}
+ */
+export const escapeHtml = (text = "") => String(text).replace(/[&<>"']/g, char => escapes[char]);
@@ -0,0 +1,67 @@
+/**
+ * markdown 中相对地址的改写，构建时（build/collections.js）与浏览器端渲染的页面共用，保证两边生成的地址一致
+ * markdown 中的相对地址是相对于 md 文件的，生成的页面地址与 md 文件的位置不同，需要改写：
+ * - 指向集合中 markdown 文件的链接改写成对应的页面地址，目录页改写成集合的落地页
+ * - 其他的相对地址（比如图片）改写成相对站点根目录的地址
+ */
+
+/**
+ * @typedef {Object} LinkCollection
+ * @property {string} dir - markdown 目录在站点中的地址，比如 /articles/
+ * @property {string} path - 页面的访问路径，比如 /posts/
+ * @property {string} [index] - 目录页的文件名
+ */
+
+/**
+ * 把相对地址解析成站点中的绝对地址，不会超出站点的根目录
+ * @param from {string} 当前文件在站点中的地址
+ * @param target {string} 相对地址
+ * @return {string}
+ */
+const resolvePath = (from, target) => {
+    const parts = from.split("/").slice(0, -1);
+    for (const part of target.split("/")) {
+        if (part === "..") {
+            parts.length > 1 && parts.pop();
+        } else if (part && part !== ".") {
+            parts.push(part);
+        }
+    }
+    return parts.join("/") || "/";
+}
+
+/**
+ * markdown 文件对应的页面地址，不属于任何集合的返回 null
+ * @param collections {Array<LinkCollection>}
+ * @param url {string} markdown 文件在站点中的地址
+ * @return {string|null}
+ */
+export const getPageUrl = (collections, url) => {
+    const collection = collections.find(item => url.startsWith(item.dir));
+    if (!collection) {
+        return null;
+    }
+    if (collection.index && url === collection.dir + collection.index) {
+        return collection.path;
+    }
+    return `${collection.path}${url.slice(url.lastIndexOf("/") + 1, -".md".length)}/`;
+}
+
+/**
+ * 创建链接改写函数
+ * @param collections {Array<LinkCollection>} 集合
+ * @param from {string} 当前的 markdown 文件在站点中的地址，比如 /articles/0001.2025-start.md
+ * @return {function(string): string}
+ */
+export const createLinkResolver = (collections, from) => (href) => {
+    // 外部链接、站内绝对地址与页内锚点不需要处理
+    if (!href || /^([a-z][a-z\d+.-]*:|\/|#)/i.test(href)) {
+        return href;
+    }
+    const hashIndex = href.indexOf("#");
+    const target = hashIndex >= 0 ? href.slice(0, hashIndex) : href;
+    const hash = hashIndex >= 0 ? href.slice(hashIndex) : "";
+    const url = resolvePath(from, target);
+    const pageUrl = url.endsWith(".md") ? getPageUrl(collections, url) : null;
+    return (pageUrl || url) + hash;
+}
@@ -0,0 +1,62 @@
+/**
+ * GitHub 风格的提示块：
+ * > [!NOTE]
+ * > 内容
+ * 支持 NOTE、TIP、IMPORTANT、WARNING、CAUTION 五种类型
+ */
+
+const titles = {
+    note: "说明",
+    tip: "提示",
+    important: "重要",
+    warning: "警告",
+    caution: "注意"
+};
+
+const markerRegex = /^\[!(NOTE|TIP|IMPORTANT|WARNING|CAUTION)\][ \t]*(?:\n|$)/i;
+
+/**
+ * 识别以 [!TYPE] 开头的引用块，记录类型并从内容中去掉标记
+ * @param token {Object} blockquote
+ */
+const markCallout = (token) => {
+    const paragraph = token.tokens[0];
+    const first = paragraph && paragraph.type === "paragraph" && paragraph.tokens[0];
+    const match = first && first.type === "text" && markerRegex.exec(first.raw);
+    if (!match) {
+        return;
+    }
+    token.callout = match[1].toLowerCase();
+    first.raw = first.raw.slice(match[0].length);
+    first.text = first.text.replace(markerRegex, "");
+    if (first.tokens) {
+        first.tokens[0].text = first.tokens[0].text.replace(markerRegex, "");
+    }
+    // 标记单独成段的时候，去掉空的段落
+    if (paragraph.tokens.length === 1 && !first.raw.trim()) {
+        token.tokens.shift();
+    }
+}
+
+export default {
+    name: "callout",
+    /**
+     * @param tokens {Array<Object>}
+     * @param context {{marked: Object}}
+     */
+    prepare(tokens, {marked}) {
+        marked.walkTokens(tokens, token => token.type === "blockquote" && markCallout(token));
+    },
+    marked: {
+        renderer: {
+            blockquote(token) {
+                if (!token.callout) {
+                    return false;
+                }
+                return `<div class="callout callout-${token.callout}">`
+                    + `<p class="callout-title">${titles[token.callout]}</p>`
+                    + `${this.parser.parse(token.tokens)}</div>\n`;
+            }
+        }
+    }
+};
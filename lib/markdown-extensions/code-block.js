@@ -0,0 +1,112 @@
+/**
+ * 代码块：语言标签、行号、行高亮与复制按钮
+ * 代码块的信息字符串中可以用大括号指定需要高亮的行，比如 ```java {3,5-7}
+ */
+
+import {escapeHtml} from "../html.js";
+
+/**
+ * 解析代码块的信息字符串
+ * @param info {string} 比如 "java {3,5-7}"
+ * @return {{language: string, lines: Set<number>}} 语言与需要高亮的行号
+ */
+export const parseCodeInfo = (info) => {
+    const language = (info || "").trim().split(/\s+/)[0].toLowerCase();
+    const lines = new Set();
+    const range = /\{([\d,\s-]+)\}/.exec(info || "");
+    if (range) {
+        for (const part of range[1].split(",")) {
+            const [start, end = start] = part.trim().split("-").map(Number);
+            for (let line = start; line <= end && line - start < 1000; line++) {
+                lines.add(line);
+            }
+        }
+    }
+    return {language, lines};
+}
+
+/**
+ * 把高亮之后的html按行拆分，跨行的标签（比如多行注释）在行尾关闭，在下一行重新打开
+ * @param html {string}
+ * @return {string[]}
+ */
+const splitLines = (html) => {
+    const lines = [];
+    const open = [];
+    let current = "";
+    for (const part of html.split(/(<[^>]+>|\n)/)) {
+        if (part === "\n") {
+            lines.push(current + "</span>".repeat(open.length));
+            current = open.join("");
+        } else if (part.startsWith("</")) {
+            open.pop();
+            current += part;
+        } else if (part.startsWith("<")) {
+            open.push(part);
+            current += part;
+        } else {
+            current += part;
+        }
+    }
+    lines.push(current);
+    return lines;
+}
+
+/**
+ * 为代码块的复制按钮绑定事件
+ * @param root {HTMLElement}
+ */
+const bindCopyButtons = (root) => {
+    for (const button of root.querySelectorAll(".code-copy:not([data-bound])")) {
+        button.dataset.bound = "";
+        button.addEventListener("click", async () => {
+            const code = button.closest(".code-block").querySelector("code");
+            try {
+                await navigator.clipboard.writeText(code.textContent);
+                button.textContent = "已复制";
+            } catch (error) {
+                button.textContent = "复制失败";
+            }
+            setTimeout(() => button.textContent = "复制", 1500);
+        });
+    }
+}
+
+export default {
+    name: "code-block",
+    /**
+     * 加载代码块用到的语言并完成高亮，高亮的结果记录在 token.highlighted 中
+     * @param tokens {Array<Object>}
+     * @param context {{marked: Object, highlighter?: {load: function(string[]): Promise<void>, highlight: function(string, string): (string|null)}}}
+     */
+    async prepare(tokens, {marked, highlighter}) {
+        if (!highlighter) {
+            return;
+        }
+        const blocks = [];
+        marked.walkTokens(tokens, token => token.type === "code" && blocks.push(token));
+        const languages = new Set(blocks.map(token => parseCodeInfo(token.lang).language).filter(language => language));
+        await highlighter.load([...languages]);
+        for (const token of blocks) {
+            const {language} = parseCodeInfo(token.lang);
+            token.highlighted = language ? highlighter.highlight(token.text, language) : null;
+        }
+    },
+    marked: {
+        renderer: {
+            code(token) {
+                const {language, lines} = parseCodeInfo(token.lang);
+                const className = `language-${language || "none"}`;
+                const body = splitLines(token.highlighted || escapeHtml(token.text))
+                    .map((line, i) => `<span class="code-line${lines.has(i + 1) ? " highlighted" : ""}">${line}</span>`)
+                    .join("\n");
+                const label = language ? `<span class="code-lang">${escapeHtml(language)}</span>` : "";
+                return `<div class="code-block">`
+                    + `<div class="code-header">${label}<button class="code-copy" type="button">复制</button></div>`
+                    + `<pre class="${className}" tabindex="0"><code class="${className}">${body}</code></pre>`
+                    + `</div>\n`;
+            }
+        }
+    },
+    hydrate: bindCopyButtons
+};
@@ -0,0 +1,83 @@
+/**
+ * 数学公式：$...$ 为行内公式，$$...$$ 为独立的公式块，使用 KaTeX 渲染
+ * KaTeX 不依赖浏览器环境，构建时直接渲染成html，页面只需要引入 katex.min.css
+ * 只有文章中有公式的时候才会加载 KaTeX 与它的样式：预渲染的页面在构建时引入样式（build/page-template.js），
+ * 浏览器端渲染的页面在 hydrate 的时候引入
+ */
+
+const stylesheetUrl = "/lib/katex/katex.min.css";
+
+let katex = null;
+
+// 行内公式，$ 的内侧不能是空格，结束的 $ 后面不能是数字，避免把 "$5 到 $10" 当成公式
+const inlineRegex = /^\$(?!\s)((?:\\.|[^\\$\n])+?)(?<!\s)\$(?!\d)/;
+
+// 公式块，$$ 单独成行或者与公式写在同一行
+const blockRegex = /^\$\$([\s\S]+?)\$\$[ \t]*(?:\n+|$)/;
+
+/**
+ * 渲染公式，公式有错误的时候 KaTeX 会把错误的部分标红，不会中断渲染
+ * @param tex {string}
+ * @param displayMode {boolean} 是否是独立的公式块
+ * @return {string}
+ */
+const renderMath = (tex, displayMode) => katex.renderToString(tex.trim(), {displayMode, throwOnError: false});
+
+export default {
+    name: "math",
+    /**
+     * 文章中有公式的时候加载 KaTeX
+     * @param tokens {Array<Object>}
+     * @param context {{marked: Object}}
+     */
+    async prepare(tokens, {marked}) {
+        let found = false;
+        marked.walkTokens(tokens, token => {
+            found = found || token.type === "math" || token.type === "mathBlock";
+        });
+        if (found && !katex) {
+            katex = (await import("../katex/katex.mjs")).default;
+        }
+    },
+    /**
+     * 页面中有公式并且还没有引入样式的时候引入 katex.min.css
+     * @param root {HTMLElement}
+     */
+    hydrate(root) {
+        if (!root.querySelector(".katex") || document.querySelector(`link[href="${stylesheetUrl}"]`)) {
+            return;
+        }
+        const link = document.createElement("link");
+        link.rel = "stylesheet";
+        link.href = stylesheetUrl;
+        document.head.append(link);
+    },
+    marked: {
+        extensions: [
+            {
+                name: "mathBlock",
+                level: "block",
+                start: (src) => src.match(/^\$\$/m)?.index,
+                tokenizer(src) {
+                    const match = blockRegex.exec(src);
+                    if (match) {
+                        return {type: "mathBlock", raw: match[0], text: match[1]};
+                    }
+                },
+                renderer: (token) => `<div class="math-block">${renderMath(token.text, true)}</div>\n`
+            },
+            {
+                name: "math",
+                level: "inline",
+                start: (src) => src.indexOf("$"),
+                tokenizer(src) {
+                    const match = inlineRegex.exec(src);
+                    if (match) {
+                        return {type: "math", raw: match[0], text: match[1]};
+                    }
+                },
+                renderer: (token) => renderMath(token.text, false)
+            }
+        ]
+    }
+};
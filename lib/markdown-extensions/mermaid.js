@@ -0,0 +1,62 @@
+/**
+ * Mermaid 图表：```mermaid 代码块输出图表的源码，在浏览器端渲染成 svg
+ * mermaid 依赖浏览器环境，没有办法在构建时渲染，只有页面中有图表的时候才会加载
+ * mermaid 放在 lib/mermaid 中（mermaid@11 的 dist/mermaid.min.js），不依赖外部的 CDN
+ */
+
+import {escapeHtml} from "../html.js";
+
+const mermaidUrl = "/lib/mermaid/mermaid.min.js";
+
+let mermaidLoader = null;
+
+/**
+ * 加载并初始化 mermaid，mermaid.min.js 是普通的脚本，加载之后挂在 window.mermaid 上，
+ * 作为 ES 模块 import 的话顶层变量不是全局变量，没有办法正确执行
+ * @return {Promise<Object>}
+ */
+const loadMermaid = () => {
+    if (!mermaidLoader) {
+        mermaidLoader = new Promise((resolve, reject) => {
+            const script = document.createElement("script");
+            script.src = mermaidUrl;
+            script.onload = () => resolve(window.mermaid);
+            script.onerror = () => {
+                script.remove();
+                mermaidLoader = null; // 失败之后允许重试
+                reject(new Error(`Failed to load ${mermaidUrl}`));
+            };
+            document.head.append(script);
+        }).then(mermaid => {
+            mermaid.initialize({startOnLoad: false, theme: "dark"});
+            return mermaid;
+        });
+    }
+    return mermaidLoader;
+}
+
+export default {
+    name: "mermaid",
+    marked: {
+        renderer: {
+            code(token) {
+                if ((token.lang || "").trim().split(/\s+/)[0] !== "mermaid") {
+                    return false;
+                }
+                return `<pre class="mermaid">${escapeHtml(token.text)}</pre>\n`;
+            }
+        }
+    },
+    /**
+     * 渲染页面中的图表，渲染过的图表 mermaid 会加上 data-processed 属性
+     * @param root {HTMLElement}
+     */
+    async hydrate(root) {
+        const nodes = [...root.querySelectorAll("pre.mermaid:not([data-processed])")];
+        if (!nodes.length) {
+            return;
+        }
+        const mermaid = await loadMermaid();
+        await mermaid.run({nodes});
+    }
+};
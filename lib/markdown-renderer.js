@@ -1,21 +1,148 @@
-import {marked} from "./marked.esm.js";
-import "./prism/prism-core.min.js";
-import "./prism/prism-autoloader.min.js"
+import {Marked} from "./marked.esm.js";
+import {enhanceImages} from "./responsive-image.js";
+import {addHeadingAnchors} from "./heading-anchors.js";
+import codeBlock from "./markdown-extensions/code-block.js";
+import mermaid from "./markdown-extensions/mermaid.js";
+import math from "./markdown-extensions/math.js";
+import callout from "./markdown-extensions/callout.js";
 
-Prism.manual = true;
-Prism.plugins.autoloader.languages_path = "/lib/prism/components/";
+/**
+ * markdown 渲染器，构建时（build/markdown-renderer.js）与浏览器端共用，保证预渲染的页面与客户端渲染的结果一致
+ * 语法都通过扩展提供，扩展的结构：
+ * - name: 扩展名称，重复注册的时候替换之前的扩展
+ * - marked: marked 的扩展（语法与渲染），渲染器返回 false 的时候交给之前注册的渲染器处理
+ * - prepare(tokens, context): 渲染之前对 token 的处理，可以是异步的，比如加载代码高亮需要的语言
+ * - hydrate(root): 浏览器端对渲染结果的增强，比如绑定按钮的事件、渲染图表，预渲染的页面也会执行
+ */
+
+/**
+ * @typedef {Object} MarkdownExtension
+ * @property {string} name
+ * @property {Object} [marked]
+ * @property {function(Array<Object>, {marked: Marked, highlighter?: Object}): (void|Promise<void>)} [prepare]
+ * @property {function(HTMLElement): (void|Promise<void>)} [hydrate]
+ */
+
+/** @type {Map<string, MarkdownExtension>} */
+const extensions = new Map();
 
+let markedInstance = null;
+
+/**
+ * 注册扩展
+ * @param extension {MarkdownExtension}
+ */
+export const registerExtension = (extension) => {
+    extensions.set(extension.name, extension);
+    markedInstance = null;
+}
+
+// 内置的扩展，mermaid 需要在代码块之后注册，优先处理 mermaid 代码块
+[codeBlock, mermaid, math, callout].forEach(registerExtension);
+
+/**
+ * 获取加载了所有扩展的 marked
+ * @return {Marked}
+ */
+const getMarked = () => {
+    if (!markedInstance) {
+        markedInstance = new Marked(...[...extensions.values()].filter(extension => extension.marked).map(extension => extension.marked));
+    }
+    return markedInstance;
+}
+
+/**
+ * 解析 markdown，不做任何渲染
+ * @param markdownText {string}
+ * @return {Array<Object>}
+ */
+export const lexMarkdown = (markdownText) => getMarked().lexer(markdownText);
+
+/**
+ * 遍历 token，包括扩展产生的 token
+ * @param tokens {Array<Object>}
+ * @param callback {function(Object): void}
+ */
+export const walkTokens = (tokens, callback) => getMarked().walkTokens(tokens, callback);
+
+/**
+ * 把 markdown 渲染成 html
+ * @param markdownText {string} markdown 内容
+ * @param [options] {{highlighter?: {load: function(string[]): Promise<void>, highlight: function(string, string): (string|null)}, resolveLink?: function(string, string): string}}
+ * highlighter 用于代码高亮；resolveLink 用于改写链接与图片的地址，第二个参数是 link 或者 image
+ * @return {Promise<string>}
+ */
+export const markdownToHtml = async (markdownText, options = {}) => {
+    const marked = getMarked();
+    const tokens = marked.lexer(markdownText);
+    if (options.resolveLink) {
+        marked.walkTokens(tokens, token => {
+            if (token.type === "link" || token.type === "image") {
+                token.href = options.resolveLink(token.href, token.type);
+            }
+        });
+    }
+    for (const extension of extensions.values()) {
+        if (extension.prepare) {
+            await extension.prepare(tokens, {marked, highlighter: options.highlighter});
+        }
+    }
+    return marked.parser(tokens);
+}
+
+/**
+ * 执行所有扩展在浏览器端的增强
+ * @param root {HTMLElement} 文章内容的根元素
+ * @return {Promise<void>}
+ */
+export const hydrateMarkdown = async (root) => {
+    for (const extension of extensions.values()) {
+        if (extension.hydrate) {
+            try {
+                await extension.hydrate(root);
+            } catch (error) {
+                console.error(`Markdown extension ${extension.name} failed:`, error);
+            }
+        }
+    }
+}
+
+let prismLoader = null;
+
+/**
+ * 浏览器端的代码高亮，prism 的语言包通过 autoloader 按需加载
+ */
+const prismHighlighter = {
+    load(languages) {
+        if (!prismLoader) {
+            // 在 prism 加载之前声明手动模式，避免 prism 自动高亮页面中所有的代码块
+            window.Prism = window.Prism || {manual: true};
+            prismLoader = import("./prism/prism-core.min.js")
+                .then(() => import("./prism/prism-autoloader.min.js"))
+                .then(() => {
+                    Prism.plugins.autoloader.languages_path = "/lib/prism/components/";
+                });
+        }
+        return prismLoader.then(() => new Promise(resolve => Prism.plugins.autoloader.loadLanguages(languages, resolve, resolve)));
+    },
+    highlight(code, language) {
+        const grammar = Prism.languages[language];
+        return grammar ? Prism.highlight(code, grammar, language) : null;
+    }
+};
 
 /**
- * Decode HTML entities in the content
+ * 在浏览器端渲染 markdown，插入到页面之后需要调用 hydrateMarkdown，图表等内容需要在页面中才能正确渲染
  * @param markdownText {string} Encoded markdown content
- * @return element {HTMLElement}
+ * @param [options] {{images?: Object<string, import('./responsive-image.js').ImageInfo>, resolveLink?: function(string, string): string}}
+ * images: 构建时生成的图片信息；resolveLink: 改写链接与图片的地址，与构建时一致（见 link-resolver.js）
+ * @return {Promise<HTMLElement>}
  */
-export const renderMarkdown = (markdownText) => {
-    const html = marked.parse(markdownText);
+export const renderMarkdown = async (markdownText, options = {}) => {
+    const rendered = await markdownToHtml(markdownText, {highlighter: prismHighlighter, resolveLink: options.resolveLink});
+    const {html} = addHeadingAnchors(enhanceImages(rendered, options.images));
     const root = document.createElement('div')
     root.classList.add("markdown-body")
     root.innerHTML = html
-    Prism.highlightAllUnder(root, true);
     return root
-}
\ No newline at end of file
+}
@@ -0,0 +1,61 @@
+/**
+ * 响应式图片，构建时与浏览器端共用，保证两边生成的html一致
+ * 图片信息由构建时的图片处理生成（build/image-pipeline.js），包括尺寸、模糊的占位图与多种宽度和格式的图片
+ */
+
+/**
+ * @typedef {Object} ImageInfo
+ * @property {number} width - 原图宽度
+ * @property {number} height - 原图高度
+ * @property {string} placeholder - 模糊的占位图，data url
+ * @property {Array<{type: string, srcset: string}>} sources - 每种格式对应的 srcset，从优到次排列
+ * @property {string} smallest - 最小的一张图片，用于模糊的背景图
+ */
+
+// 文章正文中图片的显示宽度
+export const contentSizes = "(max-width: 1200px) 100vw, 1200px";
+
+// 首页卡片中封面的显示宽度
+export const cardSizes = "(max-width: 768px) 100vw, 400px";
+
+// marked 生成的图片标签
+const imgRegex = /<img src="([^"]*)" alt="([^"]*)"(?: title="([^"]*)")?\s*\/?>/g;
+
+/**
+ * 生成图片的html，有图片信息的时候生成 <picture>，所有的图片都使用懒加载
+ * @param attributes {Object<string, string>} img标签的属性，值需要已经转义
+ * @param [image] {ImageInfo} 图片信息
+ * @param [sizes] {string} 图片的显示宽度
+ * @return {string}
+ */
+export const renderResponsiveImage = (attributes, image, sizes = contentSizes) => {
+    const attrs = Object.entries(attributes)
+        .filter(([, value]) => value !== undefined && value !== null)
+        .map(([name, value]) => `${name}="${value}"`)
+        .join(" ");
+    if (!image) {
+        return `<img ${attrs} loading="lazy" decoding="async">`;
+    }
+    // 占位图作为背景，图片加载完成之后去掉，避免透明的图片露出背景
+    const placeholder = image.placeholder
+        ? ` style="background: url(${image.placeholder}) center / cover no-repeat" onload="this.removeAttribute('style')"`
+        : "";
+    const sources = image.sources.map(source => `<source type="${source.type}" srcset="${source.srcset}" sizes="${sizes}">`).join("");
+    return `<picture>${sources}<img ${attrs} width="${image.width}" height="${image.height}" loading="lazy" decoding="async"${placeholder}></picture>`;
+}
+
+/**
+ * 把html中 marked 生成的图片替换成响应式图片
+ * @param html {string}
+ * @param [images] {Object<string, ImageInfo>} 站内地址 -> 图片信息
+ * @return {string}
+ */
+export const enhanceImages = (html, images = {}) => html.replace(imgRegex, (tag, src, alt, title) => {
+    let key = src.replace(/&amp;/g, "&");
+    try {
+        key = decodeURI(key);
+    } catch (e) {
+        // 地址不是合法的编码，直接使用原始的地址
+    }
+    return renderResponsiveImage({src, alt, title}, images[key]);
+});
@@ -0,0 +1,41 @@
+/**
+ * 全文搜索使用的分词器，构建索引与浏览器端查询共用同一份实现，保证两边切出来的词一致
+ * 中日韩文字没有空格分隔，按相邻两个字切分（bigram），其他文字按单词切分并转成小写
+ */
+
+// 中日韩文字
+const cjkPattern = '[\\p{Script=Han}\\p{Script=Hiragana}\\p{Script=Katakana}\\p{Script=Hangul}]';
+const segmentRegex = new RegExp(`${cjkPattern}+|[\\p{L}\\p{N}_]+`, 'gu');
+const cjkRegex = new RegExp(`^${cjkPattern}`, 'u');
+
+/**
+ * 判断一个词是否是中日韩文字
+ * @param token {string}
+ * @return {boolean}
+ */
+export const isCjk = (token) => cjkRegex.test(token);
+
+/**
+ * 对文本进行分词
+ * @param text {string} 文本
+ * @return {string[]} 词列表，保留重复的词，用于统计词频
+ */
+export const tokenize = (text) => {
+    const tokens = [];
+    const segments = (text || '').toLowerCase().match(segmentRegex) || [];
+    for (const segment of segments) {
+        if (!isCjk(segment)) {
+            tokens.push(segment);
+            continue;
+        }
+        const chars = Array.from(segment);
+        if (chars.length === 1) {
+            tokens.push(segment);
+            continue;
+        }
+        for (let i = 0; i < chars.length - 1; i++) {
+            tokens.push(chars[i] + chars[i + 1]);
+        }
+    }
+    return tokens;
+}
@@ -1,4 +1,11 @@
 import styles from '/public/css/base.css' with {type: 'css'};
+import collections from '/data/collection-data.js';
+
+// 有落地页且不在首页列表中的集合（比如系列文章），在导航栏中提供入口
+const collectionLinks = collections
+    .filter(collection => collection.landing && !collection.listed)
+    .map(collection => `<a href="${collection.path}" class="nav-link site">${collection.title}</a>`)
+    .join('');
 
 //定义一个简单的webcmponent作为header
 class HeaderComponent extends HTMLElement {
@@ -18,6 +25,8 @@ class HeaderComponent extends HTMLElement {
                 <nav class="nav">
                     <div class="nav-right">
                         <a href="/" class="nav-link site">首页</a>
+                        ${collectionLinks}
+                        <a href="/archive/" class="nav-link site">归档</a>
                         <a href="/pages/about.html" class="nav-link site">关于</a>
                         <a href="https://github.com/xiechanglei/mortal-blog" target="_blank" class="nav-link">GitHub</a>
                         <a href="https://music.163.com/#/playlist?id=14231616354" target="_blank" class="nav-link">歌单</a>
@@ -1,30 +1,111 @@
-import articleData from "/data/article-data.js";
+import articlePages from "/data/article-pages.js";
+import tagData from "/data/tag-data.js";
+import collections from "/data/collection-data.js";
+import {getPageUrl} from "/lib/link-resolver.js";
 
 /**
  * {import('../types/def').Article} Article
  */
 
 /**
- *  所有的文章数据
- *  @type {Array<Article>}
+ * 文章列表的分页方式：scroll 滚动加载，pages 显示页码
+ * @type {'scroll'|'pages'}
  */
-export const allArticles = articleData
+export const paginationMode = articlePages.mode
 
-export const getArticleTags = ()=>{
+/**
+ * 文章总数
+ * @type {number}
+ */
+export const articleTotal = articlePages.total
+
+/**
+ * 获取所有的标签及其文章数量，按数量从多到少排序
+ * @returns {Array<{name: string, count: number}>}
+ */
+export const getArticleTags = () => {
+    return tagData
+}
+
+/**
+ * 获取文章列表的页数
+ * @param tag {string} 标签，空字符串表示全部文章
+ * @returns {number}
+ */
+export const getPageCount = (tag) => (articlePages.lists[tag] || []).length
 
+// 已经请求过的分页文件，同一页只请求一次
+const pageCache = new Map();
+
+/**
+ * 获取文章列表的一页，文章按日期从新到旧排列
+ * @param tag {string} 标签，空字符串表示全部文章
+ * @param page {number} 页码，从 1 开始
+ * @returns {Promise<Array<Article>>} 页码超出范围的时候返回空数组
+ */
+export const fetchArticlePage = (tag, page) => {
+    const url = (articlePages.lists[tag] || [])[page - 1];
+    if (!url) {
+        return Promise.resolve([]);
+    }
+    if (!pageCache.has(url)) {
+        pageCache.set(url, fetch(url).then(response => {
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+            return response.json();
+        }).catch(error => {
+            pageCache.delete(url); // 失败之后允许重试
+            throw error;
+        }));
+    }
+    return pageCache.get(url);
 }
 
 /**
- * Fetch article detail by ID
- * @param id {string} Article ID
+ * 按页面地址查找文章，只加载文章所在的一页，系列文章不在文章列表中，找不到的时候返回 undefined
+ * @param url {string} 文章页面的地址，比如 /posts/<slug>/
+ * @returns {Promise<Article|undefined>}
+ */
+export const findArticle = async (url) => {
+    const page = articlePages.articles[url];
+    if (!page) {
+        return undefined;
+    }
+    return (await fetchArticlePage("", page)).find(a => a.url === url);
+}
+
+/**
+ * 文章的 markdown 文件在站点中的地址，由文章所属集合的目录得到
+ * @param article {Article}
+ * @returns {string}
+ */
+export const getMarkdownUrl = (article) => {
+    const collection = collections.find(item => item.name === article.collection);
+    return `${collection.dir}${article.filePath}`;
+}
+
+/**
+ * 由 markdown 文件的路径得到文章页面的地址，pages/article.html?slug=xxx 使用，依次在首页列表中的集合里查找
+ * @param filePath {string} 文件相对于集合目录的路径，即文章的 filePath
+ * @returns {string|undefined}
+ */
+export const findArticleUrl = (filePath) => collections
+    .filter(collection => collection.listed)
+    .map(collection => getPageUrl(collections, `${collection.dir}${filePath}`))
+    .find(url => url && articlePages.articles[url]);
+
+/**
+ * Fetch article detail by page URL
+ * @param url {string} 文章页面的地址
  * @returns {Promise<Article & {content:string}>} Promise resolving to the article detail
  */
-export const fetchArticleDetail = async (id) => {
-    const article = articleData.find(a => a.filePath === id);
+export const fetchArticleDetail = async (url) => {
+    const article = await findArticle(url);
     if (!article) {
         return Promise.reject(new Error('Article not found'));
     } else {
-        const content = await getMarkdownContent(`/articles/${article.filePath}`);
+        const content = await getMarkdownContent(getMarkdownUrl(article));
         return {...article, content};
     }
 }
@@ -42,4 +123,4 @@ export const getMarkdownContent = async (filePath) => {
         }
         return response.text();
     });
-}
\ No newline at end of file
+}
@@ -0,0 +1,148 @@
+import {isCjk, tokenize} from "/lib/search-tokenizer.js";
+import {escapeHtml} from "/lib/html.js";
+
+/**
+ * {import('../types/def').Article} Article
+ */
+
+/**
+ * @typedef {Object} SearchResult
+ * @property {Article} article - 命中的文章，只有文章卡片需要的字段（见 build/search-index.js）
+ * @property {number} score - 相关度得分
+ * @property {string} title - 高亮之后的标题html
+ * @property {string} snippet - 高亮之后的正文摘要html
+ */
+
+// 摘要在命中位置前后截取的字数
+const snippetBefore = 30;
+const snippetLength = 120;
+
+// BM25 的参数
+const k1 = 1.2;
+const b = 0.75;
+
+let indexPromise = null;
+
+/**
+ * 加载搜索索引，只在第一次搜索的时候请求一次
+ * 索引中带有文章卡片的数据，搜索结果不需要再加载文章列表的分页
+ * @return {Promise<{docs: Array<Article & {excerpt: string}>, lengths: number[], terms: Object<string, number[]>}>}
+ */
+export const loadSearchIndex = () => {
+    if (!indexPromise) {
+        indexPromise = fetch("/data/search-index.json").then(response => {
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+            return response.json();
+        }).catch(error => {
+            indexPromise = null; // 失败之后允许重试
+            throw error;
+        });
+    }
+    return indexPromise;
+}
+
+/**
+ * 查找一个词命中的文章，输入过程中最后一个词往往是不完整的，精确查找不到的时候按前缀匹配
+ * 中文按两个字切分，单个字可能是词的第一个字也可能是第二个字，需要同时匹配两种情况
+ * @return {Map<number, number>} 文章下标 -> 词频
+ */
+const lookup = (index, token) => {
+    const postings = new Map();
+    const collect = (list) => {
+        for (let i = 0; i < list.length; i += 2) {
+            postings.set(list[i], Math.max(postings.get(list[i]) || 0, list[i + 1]));
+        }
+    }
+    if (isCjk(token) && Array.from(token).length === 1) {
+        Object.keys(index.terms).filter(term => term.startsWith(token) || term.endsWith(token)).forEach(term => collect(index.terms[term]));
+    } else if (index.terms[token]) {
+        collect(index.terms[token]);
+    } else {
+        Object.keys(index.terms).filter(term => term.startsWith(token)).forEach(term => collect(index.terms[term]));
+    }
+    return postings;
+}
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * 生成匹配搜索词的正则，非中日韩的词按前缀匹配，只从单词的开头开始匹配
+ * @param tokens {string[]} 搜索词
+ * @return {RegExp}
+ */
+const buildPattern = (tokens) => new RegExp([...tokens]
+    .sort((x, y) => y.length - x.length)
+    .map(token => isCjk(token) ? escapeRegExp(token) : `(?<![a-z0-9_])${escapeRegExp(token)}`)
+    .join("|"), "gi");
+
+/**
+ * 高亮文本中命中的词
+ * @param text {string} 原始文本
+ * @param tokens {string[]} 搜索词
+ * @return {string} 转义并高亮之后的html
+ */
+export const highlightText = (text, tokens) => {
+    if (!tokens.length) {
+        return escapeHtml(text);
+    }
+    const pattern = buildPattern(tokens);
+    let html = "";
+    let last = 0;
+    for (const match of text.matchAll(pattern)) {
+        html += escapeHtml(text.slice(last, match.index)) + `<mark>${escapeHtml(match[0])}</mark>`;
+        last = match.index + match[0].length;
+    }
+    return html + escapeHtml(text.slice(last));
+}
+
+/**
+ * 截取正文中第一次命中的位置附近的文字作为摘要，索引中只有正文开头的一段（见 build/search-index.js），没有命中的时候从开头截取
+ */
+const makeSnippet = (text, tokens) => {
+    const position = text.search(buildPattern(tokens));
+    const start = Math.max(0, position - snippetBefore);
+    const end = start + snippetLength;
+    return (start > 0 ? "..." : "") + highlightText(text.slice(start, end), tokens) + (end < text.length ? "..." : "");
+}
+
+/**
+ * 全文搜索，返回按相关度排序的结果，所有的词都命中的文章才会出现在结果中
+ * @param searchTerm {string} 搜索内容
+ * @return {Promise<Array<SearchResult>>}
+ */
+export const searchArticles = async (searchTerm) => {
+    const tokens = [...new Set(tokenize(searchTerm))];
+    if (!tokens.length) {
+        return [];
+    }
+    const index = await loadSearchIndex();
+    const docCount = index.docs.length;
+    const averageLength = index.lengths.reduce((sum, length) => sum + length, 0) / (docCount || 1);
+    const scores = new Map();
+    const hits = new Map();
+
+    for (const token of tokens) {
+        const postings = lookup(index, token);
+        const idf = Math.log(1 + (docCount - postings.size + 0.5) / (postings.size + 0.5));
+        for (const [doc, tf] of postings) {
+            const norm = k1 * (1 - b + b * index.lengths[doc] / averageLength);
+            scores.set(doc, (scores.get(doc) || 0) + idf * tf * (k1 + 1) / (tf + norm));
+            hits.set(doc, (hits.get(doc) || 0) + 1);
+        }
+    }
+
+    return [...scores.entries()]
+        .filter(([doc]) => hits.get(doc) === tokens.length)
+        .sort((x, y) => y[1] - x[1])
+        .map(([doc, score]) => {
+            const {excerpt, ...article} = index.docs[doc];
+            return {
+                article,
+                score,
+                title: highlightText(article.title, tokens),
+                snippet: makeSnippet(excerpt, tokens)
+            };
+        });
+}
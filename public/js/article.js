@@ -1,28 +1,205 @@
-import {fetchArticleDetail} from "./api/article.api.js"
-import {renderMarkdown} from "/lib/markdown-renderer.js";
+import {fetchArticleDetail, findArticle, findArticleUrl, getMarkdownUrl} from "./api/article.api.js"
+import {renderMarkdown, hydrateMarkdown} from "/lib/markdown-renderer.js";
+import {renderToc} from "/lib/heading-anchors.js";
+import {renderResponsiveImage, cardSizes} from "/lib/responsive-image.js";
+import {renderTagLinks} from "/lib/article-meta.js";
+import {escapeHtml} from "/lib/html.js";
+import {createLinkResolver} from "/lib/link-resolver.js";
+import collections from "/data/collection-data.js";
 
 // Article detail JavaScript file
+
 function getUrlParameter(name) {
     const urlParams = new URLSearchParams(window.location.search);
     return urlParams.get(name);
 }
 
+/**
+ * 当前文章页面的地址，预渲染的页面带有地址，pages/article.html?slug=xxx 由文件名得到对应的页面地址
+ * @returns {string|undefined}
+ */
+const getArticleUrl = () => {
+    const prerendered = document.querySelector('.article-detail[data-url]');
+    if (prerendered) {
+        return prerendered.dataset.url;
+    }
+    const slug = getUrlParameter('slug');
+    return slug ? findArticleUrl(slug) : undefined;
+}
+
 // Function to load the specific article detail
 async function loadArticleDetail() {
-    const slug = getUrlParameter('slug');
+    // 构建时预渲染的页面（/posts/<slug>/）已经包含了完整的内容，只有 pages/article.html?slug=xxx 需要在浏览器端渲染
+    if (document.getElementById('article-content').hasAttribute('data-prerendered')) {
+        return;
+    }
     try {
-        const markdownResponse = await fetchArticleDetail(slug);
+        const markdownResponse = await fetchArticleDetail(getArticleUrl());
         document.getElementById('article-title').textContent = markdownResponse.title;
         document.getElementById('page-title').textContent = `${markdownResponse.title} - Mortal's Blog`;
         document.getElementById('article-date').textContent = markdownResponse.date;
         document.getElementById('article-word-count').textContent = `${markdownResponse.wordCount} 字`;
-        document.getElementById('article-tags').textContent = `${markdownResponse.tags.join(" ")}`;
-        document.getElementById("article-cover").src = markdownResponse.cover;
-        document.getElementById('article-content').append(renderMarkdown(markdownResponse.content))
+        document.getElementById('article-reading-time').textContent = `约 ${markdownResponse.readingTime} 分钟`;
+        document.getElementById('article-tags').innerHTML = renderTagLinks(markdownResponse.tags);
+        // 背景图是模糊的，使用最小的一张就够了
+        document.getElementById("article-cover").src = markdownResponse.coverImage ? markdownResponse.coverImage.smallest : markdownResponse.cover;
+        // 与构建时一样，把 markdown 中相对于 md 文件的地址改写成页面地址
+        const resolveLink = createLinkResolver(collections, getMarkdownUrl(markdownResponse));
+        document.getElementById('article-content').append(await renderMarkdown(markdownResponse.content, {images: markdownResponse.images, resolveLink}))
+        document.querySelector('.article-body').insertAdjacentHTML('beforeend', renderToc(getHeadings()));
+        // 内容是异步渲染的，渲染完成之后再跳转到链接中的锚点
+        if (window.location.hash) {
+            document.getElementById(decodeURIComponent(window.location.hash.slice(1)))?.scrollIntoView();
+        }
     } catch (error) {
         console.error('Error loading article detail:', error);
         document.getElementById('article-content').innerHTML = '<p>加载文章时出错，请稍后重试。</p>';
     }
 }
 
-document.addEventListener('DOMContentLoaded', loadArticleDetail);
\ No newline at end of file
+/**
+ * 生成一张文章卡片
+ * @param link {import('./types/def').ArticleLink & {cover?: string, coverImage?: Object, date?: string}} 带有封面与日期的链接，见 resolveArticleLink
+ * @param [label] {string} 卡片上方的说明，比如“上一篇”
+ * @returns {string}
+ */
+const renderArticleLinkCard = (link, label) => `<a class="article-link-card" href="${link.url}">
+        ${renderResponsiveImage({src: link.cover, alt: escapeHtml(link.title), class: "article-link-cover"}, link.coverImage, cardSizes)}
+        <span class="article-link-info">
+            ${label ? `<span class="article-link-label">${label}</span>` : ''}
+            <span class="article-link-title">${escapeHtml(link.title)}</span>
+            ${link.date ? `<span class="article-link-date">${escapeHtml(link.date)}</span>` : ''}
+        </span>
+    </a>`;
+
+/**
+ * 文章数据中的链接只有标题与地址，从文章所在的分页中查找卡片需要的封面与日期，找不到的时候只显示标题
+ * @param link {import('./types/def').ArticleLink}
+ * @returns {Promise<Object>}
+ */
+const resolveArticleLink = async (link) => {
+    const target = await findArticle(link.url);
+    return target ? {...link, cover: target.cover, coverImage: target.coverImage, date: target.date} : link;
+}
+
+/**
+ * 在正文下方显示上一篇、下一篇与相关文章
+ * @param article {Article}
+ */
+const renderArticleLinks = async (article) => {
+    const [prev, next, ...related] = await Promise.all([article.prev, article.next, ...(article.related || [])]
+        .map(link => link && resolveArticleLink(link)));
+    const neighbours = [[prev, '上一篇'], [next, '下一篇']]
+        .filter(([link]) => link)
+        .map(([link, label]) => renderArticleLinkCard(link, label))
+        .join('');
+    const relatedCards = related.map(link => renderArticleLinkCard(link)).join('');
+    if (!neighbours && !relatedCards) {
+        return;
+    }
+    document.querySelector('.article-body').insertAdjacentHTML('afterend', `<section class="article-links">
+        ${neighbours ? `<div class="article-link-grid article-neighbours">${neighbours}</div>` : ''}
+        ${relatedCards ? `<h2 class="article-links-title">相关文章</h2><div class="article-link-grid">${relatedCards}</div>` : ''}
+    </section>`);
+}
+
+/**
+ * 查找当前的文章并显示上一篇、下一篇与相关文章
+ */
+const showArticleLinks = async () => {
+    const url = getArticleUrl();
+    try {
+        const article = url && await findArticle(url);
+        if (article) {
+            await renderArticleLinks(article);
+        }
+    } catch (error) {
+        console.error('Error loading article links:', error);
+    }
+}
+
+/**
+ * 文章中带有锚点的标题
+ * @returns {Array<{level: number, id: string, text: string, element: HTMLElement}>}
+ */
+const getHeadings = () => [...document.querySelectorAll('#article-content :is(h1, h2, h3, h4, h5, h6)[id]')]
+    .map(element => ({
+        level: Number(element.tagName.slice(1)),
+        id: element.id,
+        // 去掉末尾的锚点链接
+        text: element.textContent.replace(/#$/, '').trim(),
+        element
+    }));
+
+/**
+ * 滚动时更新阅读进度，并在目录中高亮当前阅读的章节
+ */
+const updateReadingState = () => {
+    const content = document.getElementById('article-content');
+    const rect = content.getBoundingClientRect();
+    const distance = rect.height - window.innerHeight;
+    const progress = distance > 0 ? Math.min(Math.max(-rect.top / distance, 0), 1) : 1;
+    document.querySelector('.reading-progress-bar').style.transform = `scaleX(${progress})`;
+
+    // 当前章节是最后一个滚动到页面顶部附近的标题
+    const current = getHeadings().filter(heading => heading.element.getBoundingClientRect().top <= 100).pop();
+    document.querySelectorAll('.article-toc a').forEach(link => {
+        link.classList.toggle('active', !!current && decodeURIComponent(link.hash.slice(1)) === current.id);
+    });
+}
+
+/**
+ * 点击标题的锚点时，更新地址栏并复制本节的链接
+ * @param e {MouseEvent}
+ */
+const copyHeadingLink = async (e) => {
+    const anchor = e.target.closest('.heading-anchor');
+    if (!anchor) {
+        return;
+    }
+    e.preventDefault();
+    history.replaceState(null, '', anchor.hash);
+    anchor.parentElement.scrollIntoView({behavior: 'smooth'});
+    try {
+        await navigator.clipboard.writeText(window.location.href);
+        anchor.classList.add('copied');
+        setTimeout(() => anchor.classList.remove('copied'), 1500);
+    } catch (error) {
+        // 没有剪贴板权限的时候只更新地址栏
+    }
+}
+
+/**
+ * 阅读进度条、目录高亮与标题锚点
+ */
+const initReadingHelpers = () => {
+    document.body.insertAdjacentHTML('afterbegin', '<div class="reading-progress"><div class="reading-progress-bar"></div></div>');
+    let scheduled = false;
+    const schedule = () => {
+        if (!scheduled) {
+            scheduled = true;
+            requestAnimationFrame(() => {
+                scheduled = false;
+                updateReadingState();
+            });
+        }
+    }
+    window.addEventListener('scroll', schedule, {passive: true});
+    window.addEventListener('resize', schedule);
+    // 开发服务器替换了文章内容之后重新计算，并重新执行 markdown 扩展的增强
+    document.addEventListener('article:updated', () => {
+        schedule();
+        hydrateMarkdown(document.getElementById('article-content'));
+        showArticleLinks();
+    });
+    document.addEventListener('click', copyHeadingLink);
+    schedule();
+}
+
+document.addEventListener('DOMContentLoaded', async () => {
+    initReadingHelpers();
+    await loadArticleDetail();
+    showArticleLinks();
+    updateReadingState();
+    await hydrateMarkdown(document.getElementById('article-content'));
+});
\ No newline at end of file
@@ -1,4 +1,8 @@
-import {allArticles} from "./api/article.api.js"
+import {getArticleTags, fetchArticlePage, getPageCount, articleTotal, paginationMode} from "./api/article.api.js"
+import {searchArticles} from "./api/search.api.js"
+import {renderResponsiveImage, cardSizes} from "/lib/responsive-image.js"
+import {renderStatusBadge} from "/lib/article-meta.js"
+import {escapeHtml} from "/lib/html.js"
 
 /**
  * {import('../types/def').Article} Article
@@ -6,23 +10,24 @@ import {allArticles} from "./api/article.api.js"
 
 /**
  * 定义如何渲染每篇文章的卡片的html内容
- * todo  后期如果数据量大，可以做成异步分段渲染
  * @param article {Article} 文章对象
+ * @param [highlight] {{title: string, snippet: string}} 搜索结果中高亮之后的标题与摘要
  * @returns {string}
  */
-const renderArticle = (article) => {
+const renderArticle = (article, highlight) => {
     return `<div class="article-card">
-        <span class="article-tags">${article.tags.join(" ")}</span>
-        <img src="${article.cover}" alt="${article.title}" class="article-cover">
+        <span class="article-tags">${escapeHtml(article.tags.join(" "))}</span>
+        ${renderResponsiveImage({src: article.cover, alt: escapeHtml(article.title), class: "article-cover"}, article.coverImage, cardSizes)}
         <div class="article-info">
             <h3 class="article-title">
-                <a href="pages/article.html?slug=${article.filePath}">${article.title}</a>
+                <a href="${article.url}">${highlight ? highlight.title : escapeHtml(article.title)}</a>
             </h3>
             <div class="article-meta">
-                <span class="article-date">${article.date}</span>
+                <span class="article-date">${escapeHtml(article.date)}</span>
                 <span class="article-word-count">${article.wordCount} 字</span>
+                ${renderStatusBadge(article)}
             </div>
-            <p class="article-preview">${article.preview}</p>
+            <p class="article-preview">${highlight ? highlight.snippet : escapeHtml(article.preview)}</p>
         </div>
     </div>`
 }
@@ -30,45 +35,284 @@ const renderArticle = (article) => {
 /**
  * 显示文章列表
  * @param articles {Array<Article>} 文章数组
+ * @param [highlights] {Array<{title: string, snippet: string}>} 搜索结果的高亮内容，与文章数组一一对应
  */
-const renderArticles = (articles) => {
+const renderArticles = (articles, highlights = []) => {
     const articlesGrid = document.getElementById('articles-grid');
 
     if (articles.length === 0) {
         articlesGrid.innerHTML = '<p>暂无文章</p>';
         return;
     }
-    articlesGrid.innerHTML = articles.map(renderArticle).join('');
+    articlesGrid.innerHTML = articles.map((article, i) => renderArticle(article, highlights[i])).join('');
+}
+
+// 当前选中的标签，空字符串表示全部，与地址栏中的 ?tag= 参数保持同步
+let currentTag = "";
+
+// 文章列表已经加载到的页码，0 表示正在显示搜索结果；页码模式下与地址栏中的 ?page= 参数保持同步
+let currentPage = 0;
+
+// 文章列表中已经加载的文章，搜索索引加载失败的时候在其中过滤
+let loadedArticles = [];
+
+// 每次更新列表的序号，输入过程中会连续触发搜索，分页也是异步加载的，只渲染最后一次的结果
+let listSequence = 0;
+
+// 是否正在加载下一页，滚动加载的时候避免重复请求
+let loadingNextPage = false;
+
+// 滚动加载模式下观察列表的底部，进入视口的时候加载下一页
+let pagerObserver = null;
+
+/**
+ * 从地址栏中读取页码
+ * @returns {number}
+ */
+const getPageFromUrl = () => Math.max(1, parseInt(new URLSearchParams(window.location.search).get('page')) || 1);
+
+/**
+ * 页码链接的地址，保留地址栏中的标签
+ * @param page {number}
+ * @returns {string}
+ */
+const getPageUrl = (page) => {
+    const url = new URL(window.location.href);
+    page > 1 ? url.searchParams.set('page', page) : url.searchParams.delete('page');
+    return url.pathname + url.search;
+}
+
+/**
+ * 需要显示的页码，页数多的时候只显示首尾与当前页附近的页码，null 表示省略号
+ * @param current {number}
+ * @param count {number}
+ * @returns {Array<number|null>}
+ */
+const getPageNumbers = (current, count) => {
+    const pages = [];
+    for (let page = 1; page <= count; page++) {
+        if (page === 1 || page === count || Math.abs(page - current) <= 2) {
+            pages.push(page);
+        } else if (pages[pages.length - 1] !== null) {
+            pages.push(null);
+        }
+    }
+    return pages;
+}
+
+/**
+ * 渲染分页，滚动加载模式下是加载更多的按钮，页码模式下是页码链接
+ */
+const renderPager = () => {
+    const pager = document.getElementById('article-pager');
+    const pageCount = getPageCount(currentTag);
+    if (!currentPage || pageCount <= 1) {
+        pager.innerHTML = '';
+    } else if (paginationMode === 'scroll') {
+        pager.innerHTML = currentPage < pageCount ? '<button type="button" class="load-more">加载更多</button>' : '';
+        // 重新观察，一页的文章没有填满屏幕、底部仍然在视口中的时候继续加载
+        if (pagerObserver && currentPage < pageCount) {
+            pagerObserver.unobserve(pager);
+            pagerObserver.observe(pager);
+        }
+    } else {
+        const link = (page, label, className = "page-link") => `<a class="${className}" href="${getPageUrl(page)}" data-page="${page}">${label}</a>`;
+        pager.innerHTML = `<nav class="pagination" aria-label="分页">
+            ${currentPage > 1 ? link(currentPage - 1, "上一页") : ''}
+            ${getPageNumbers(currentPage, pageCount).map(page => page === null
+                ? '<span class="page-ellipsis">…</span>'
+                : page === currentPage ? `<span class="page-link active">${page}</span>` : link(page, page)).join('')}
+            ${currentPage < pageCount ? link(currentPage + 1, "下一页") : ''}
+        </nav>`;
+    }
+}
+
+/**
+ * 加载文章列表的一页，滚动加载模式下追加到列表的末尾，页码模式下替换整个列表
+ * @param page {number} 页码
+ * @param sequence {number} 列表的序号，列表已经更新的时候丢弃结果
+ */
+const loadPage = async (page, sequence) => {
+    const articles = await fetchArticlePage(currentTag, page);
+    if (sequence !== listSequence) {
+        return;
+    }
+    if (paginationMode === 'scroll' && page > 1) {
+        loadedArticles.push(...articles);
+        document.getElementById('articles-grid').insertAdjacentHTML('beforeend', articles.map(article => renderArticle(article)).join(''));
+    } else {
+        loadedArticles = articles;
+        renderArticles(articles);
+    }
+    currentPage = page;
+    renderPager();
+}
+
+/**
+ * 显示当前标签下的文章列表
+ * @param [page] {number} 页码，滚动加载模式下总是从第一页开始
+ */
+const showArticleList = async (page = 1) => {
+    const sequence = ++listSequence;
+    const pageCount = getPageCount(currentTag);
+    if (!pageCount) {
+        currentPage = 0;
+        loadedArticles = [];
+        renderPager();
+        renderArticles([]);
+        return;
+    }
+    try {
+        await loadPage(paginationMode === 'scroll' ? 1 : Math.min(page, pageCount), sequence);
+    } catch (error) {
+        console.error('Error loading articles:', error);
+        if (sequence === listSequence) {
+            document.getElementById('articles-grid').innerHTML = '<p>加载文章时出错，请稍后重试。</p>';
+        }
+    }
 }
 
 /**
- * 执行搜索并更新文章列表
+ * 滚动加载模式下加载下一页
  */
-const performSearch = (searchTerm) => {
+const loadNextPage = async () => {
+    if (loadingNextPage || !currentPage || currentPage >= getPageCount(currentTag)) {
+        return;
+    }
+    loadingNextPage = true;
+    try {
+        await loadPage(currentPage + 1, listSequence);
+    } catch (error) {
+        console.error('Error loading articles:', error);
+    } finally {
+        loadingNextPage = false;
+    }
+}
+
+/**
+ * 从地址栏中读取选中的标签
+ * @returns {string}
+ */
+const getTagFromUrl = () => new URLSearchParams(window.location.search).get('tag') || "";
+
+/**
+ * 判断文章是否属于当前选中的标签
+ * @param article {Article}
+ * @returns {boolean}
+ */
+const matchTag = (article) => !currentTag || article.tags.includes(currentTag);
+
+/**
+ * 渲染标签栏，第一个是全部
+ */
+const renderTagBar = () => {
+    const tags = [{name: "", count: articleTotal}, ...getArticleTags()];
+    document.getElementById('tag-bar').innerHTML = tags.map(tag => `<span class="tag-item${tag.name === currentTag ? " active" : ""}" data-tag="${escapeHtml(tag.name)}">
+        ${escapeHtml(tag.name) || "全部"}<span class="tag-count">${tag.count}</span>
+    </span>`).join('');
+}
+
+/**
+ * 切换标签
+ * @param tag {string} 标签名称，空字符串表示全部
+ * @param [pushHistory] {boolean} 是否写入浏览器历史，浏览器前进后退触发的切换不需要
+ */
+const selectTag = (tag, pushHistory = true) => {
+    currentTag = tag;
+    if (pushHistory) {
+        const url = new URL(window.location.href);
+        tag ? url.searchParams.set('tag', tag) : url.searchParams.delete('tag');
+        url.searchParams.delete('page');
+        window.history.pushState(null, '', url);
+    }
+    renderTagBar();
+    performSearch(document.querySelector('.search-input').value);
+}
+
+/**
+ * 只按照标题、摘要与标签过滤，搜索索引加载失败的时候使用，只能过滤已经加载的文章
+ * @param searchTerm {string}
+ * @returns {Array<Article>}
+ */
+const filterArticles = (searchTerm) => loadedArticles.filter(article =>
+    article.title.toLowerCase().includes(searchTerm) ||
+    (article.preview || '').toLowerCase().includes(searchTerm) ||
+    (article.tags && article.tags.some(tag => tag.toLowerCase().includes(searchTerm)))
+);
+
+/**
+ * 执行搜索并更新文章列表，搜索结果不分页
+ */
+const performSearch = async (searchTerm) => {
     searchTerm = searchTerm.toLowerCase().trim();
 
     if (!searchTerm) {
-        renderArticles(allArticles); // 显示所有文章
-        return;
+        return showArticleList(getPageFromUrl()); // 显示当前标签下的文章
     }
 
-    const filteredArticles = allArticles.filter(article =>
-        article.title.toLowerCase().includes(searchTerm) ||
-        article.preview.toLowerCase().includes(searchTerm) ||
-        (article.tags && article.tags.some(tag => tag.toLowerCase().includes(searchTerm)))
-    );
-    renderArticles(filteredArticles);
+    const sequence = ++listSequence;
+    currentPage = 0;
+    renderPager();
+    try {
+        const results = (await searchArticles(searchTerm)).filter(result => matchTag(result.article));
+        if (sequence === listSequence) {
+            renderArticles(results.map(result => result.article), results);
+        }
+    } catch (error) {
+        console.error('Error searching articles:', error);
+        if (sequence === listSequence) {
+            renderArticles(filterArticles(searchTerm).filter(matchTag));
+        }
+    }
 };
 
+/**
+ * 延迟执行，输入停止一段时间之后才触发
+ */
+const debounce = (fn, delay) => {
+    let timer = null;
+    return (...args) => {
+        clearTimeout(timer);
+        timer = setTimeout(() => fn(...args), delay);
+    }
+}
+
 // 页面加载完成后绑定事件
 document.addEventListener('DOMContentLoaded', function () {
-    // const searchBtn = document.querySelector('.search-btn');
-    // const searchInput = document.querySelector('.search-input');
+    const searchBtn = document.querySelector('.search-btn');
+    const searchInput = document.querySelector('.search-input');
+
+    searchBtn.addEventListener('click', () => performSearch(searchInput.value));
+    searchInput.addEventListener('keypress', (e) => e.key === 'Enter' && performSearch(e.currentTarget.value));
+    searchInput.addEventListener('input', debounce((e) => performSearch(e.target.value), 200));
 
-    // searchBtn.addEventListener('click', performSearch);
-    // searchInput.addEventListener('keypress', (e) => e.key === 'Enter' && performSearch(e.currentTarget.value));
+    // 标签栏，初始选中地址栏中的标签
+    selectTag(getTagFromUrl(), false);
+    document.getElementById('tag-bar').addEventListener('click', function (e) {
+        const item = e.target.closest('.tag-item');
+        if (item && item.dataset.tag !== currentTag) {
+            selectTag(item.dataset.tag);
+        }
+    });
+    window.addEventListener('popstate', () => selectTag(getTagFromUrl(), false));
 
-    performSearch("")
+    // 分页：页码模式下切换页码并写入浏览器历史，滚动加载模式下列表底部进入视口时加载下一页
+    const pager = document.getElementById('article-pager');
+    pager.addEventListener('click', function (e) {
+        const link = e.target.closest('.page-link[data-page]');
+        if (link) {
+            e.preventDefault();
+            window.history.pushState(null, '', link.getAttribute('href'));
+            showArticleList(Number(link.dataset.page));
+            document.querySelector('.articles-section').scrollIntoView({behavior: 'smooth'});
+        } else if (e.target.closest('.load-more')) {
+            loadNextPage();
+        }
+    });
+    if (paginationMode === 'scroll' && 'IntersectionObserver' in window) {
+        pagerObserver = new IntersectionObserver(entries => entries.some(entry => entry.isIntersecting) && loadNextPage(), {rootMargin: '200px'});
+        pagerObserver.observe(pager);
+    }
 
     // 代理绑定grid下的点击事件，跳转到card对应的文章页面
     document.getElementById('articles-grid').addEventListener('click', function (e) {
@@ -1,10 +1,26 @@
 /**
  * @typedef {Object} Article
  * @property {string} title - Article title
+ * @property {string} slug - Article slug, unique within its collection
+ * @property {string} url - URL of the pre-rendered page, e.g. /posts/<slug>/
+ * @property {string} collection - Name of the collection the article belongs to, see site.config.js
  * @property {string} filePath - Path to the markdown file
  * @property {string} [cover] - URL of the cover image
+ * @property {import('/lib/responsive-image.js').ImageInfo} [coverImage] - Responsive variants of the cover image
+ * @property {Object<string, import('/lib/responsive-image.js').ImageInfo>} [images] - Responsive variants of the images in the content, keyed by URL
  * @property {string} date - Publication date
+ * @property {string} [publishAt] - Scheduled publication time, YYYY-MM-DD or YYYY-MM-DD HH:mm
+ * @property {'draft'|'scheduled'} [status] - Only present on unpublished articles in preview builds
  * @property {number} wordCount - Word count of the article
+ * @property {number} readingTime - Estimated reading time in minutes
  * @property {string} preview - Preview text of the article
  * @property {string[]} [tags] - Tags associated with the article
- */
\ No newline at end of file
+ * @property {ArticleLink} [prev] - Previous article, the older one by date or the previous one in a series
+ * @property {ArticleLink} [next] - Next article, the newer one by date or the next one in a series
+ * @property {Array<ArticleLink>} [related] - Related articles, scored by shared tags and content similarity
+ */
+/**
+ * @typedef {Object} ArticleLink
+ * @property {string} title - Article title
+ * @property {string} url - URL of the pre-rendered page
+ */
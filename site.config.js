@@ -0,0 +1,113 @@
+/**
+ * 站点配置，构建脚本读取这里的配置生成页面与数据
+ */
+module.exports = {
+    // 站点的访问地址（比如 https://example.com），订阅源与 sitemap 中的链接都是基于这个地址的绝对地址，更换域名之后需要修改这里
+    // 没有配置的时候不生成订阅源与 sitemap，避免把订阅者与搜索引擎引到错误的地址
+    siteUrl: '',
+    title: "Mortal's Blog",
+    description: '偶尔记录一下生活，记录一下自己的心情',
+    author: 'Mortal',
+    language: 'zh-CN',
+
+    /**
+     * 订阅源，生成 feed.xml（RSS 2.0）、atom.xml 与 feed.json
+     * - size: 包含的文章数量
+     * - content: full 包含完整的文章内容，summary 只包含摘要
+     */
+    feed: {
+        size: 20,
+        content: 'full'
+    },
+
+    /**
+     * 首页文章列表的分页，构建时把文章数据按页拆分成多个文件，浏览器端按需加载
+     * - pageSize: 每页的文章数量
+     * - mode: scroll 滚动到列表底部时自动加载下一页，pages 显示页码
+     */
+    pagination: {
+        pageSize: 12,
+        mode: 'scroll'
+    },
+
+    /**
+     * 图片处理，为封面与文章中的图片生成响应式的图片
+     * - outputDir: 生成的图片的目录，目录结构与原图一致
+     * - widths: 生成的宽度，不会超过原图的宽度
+     * - formats: 生成的格式，按优先级排列，浏览器会使用第一个支持的格式
+     * - quality: 压缩质量
+     * - placeholderWidth: 模糊占位图的宽度
+     */
+    images: {
+        outputDir: './img',
+        widths: [480, 960, 1920],
+        formats: ['avif', 'webp'],
+        quality: 75,
+        placeholderWidth: 16
+    },
+
+    /**
+     * 部署，npm run deploy 构建之后把站点同步到部署目标，只上传有变化的文件
+     * - include: 需要部署的目录与文件
+     * - exclude: 不需要部署的目录与文件
+     * - target: 默认的部署目标，可以通过 --target 参数指定
+     * - concurrency: 同时上传的文件数量
+     * - retries: 上传或者删除失败之后的重试次数
+     * - delete: 是否删除目标中已经不存在的文件，也可以通过 --delete 参数开启
+     * - targets: 部署目标，type 为 qiniu、s3 或者 local，密钥通过环境变量提供，不要写在这里
+     *   上次部署的清单保存在本地的 .cache 中；目标可以配置 manifestKey，把清单同时保存在目标中，用于在多台机器上部署，
+     *   清单中有所有文件的路径，manifestKey 必须是不能公开访问的路径（比如通过 bucket policy 限制访问的前缀）
+     * 草稿与还没到发布时间的文章的 markdown 源文件不会部署
+     */
+    deploy: {
+        include: ['index.html', 'pages', 'posts', 'series', 'articles', 'data', 'covers', 'img', 'public', 'lib', 'archive', 'feed.xml', 'atom.xml', 'feed.json', 'sitemap.xml', 'robots.txt'],
+        exclude: ['img/manifest.json', 'lib/package.json'],
+        target: 'qiniu',
+        concurrency: 4,
+        retries: 3,
+        delete: false,
+        targets: {
+            // 七牛云，密钥使用环境变量 qiniu_ak 与 qiniu_sk，domain 为空间绑定的域名，配置了 manifestKey 的时候用于读取部署清单
+            qiniu: {type: 'qiniu', bucket: 'mortal-blog', zone: 'Zone_z0', domain: ''},
+            // S3 兼容的存储（AWS S3、Cloudflare R2、MinIO等），密钥使用环境变量 S3_ACCESS_KEY_ID 与 S3_SECRET_ACCESS_KEY
+            s3: {type: 's3', endpoint: '', region: 'auto', bucket: 'mortal-blog', prefix: ''},
+            // 本地目录，用于检查部署的结果
+            local: {type: 'local', dir: './dist'}
+        }
+    },
+
+    /**
+     * 文章集合，每个集合对应一个markdown目录
+     * - name: 集合名称
+     * - title: 集合标题
+     * - dir: markdown目录
+     * - path: 页面的访问路径，集合中的文章生成在 <path><slug>/index.html
+     * - order: 排序方式，date 按日期从新到旧，index 按目录页中链接出现的顺序
+     * - index: 目录页，会作为集合的落地页生成在 <path>index.html，并生成文章页面的侧边栏目录
+     * - listed: 是否作为博客文章出现在首页列表、标签与搜索中
+     * - cover/tags: 文章中没有声明的时候使用的默认值
+     * - desc: 集合落地页的描述，文章没有声明 desc 的时候摘要取自正文的开头，不使用这里的描述
+     */
+    collections: [
+        {
+            name: 'articles',
+            title: '文章',
+            dir: './articles',
+            path: '/posts/',
+            order: 'date',
+            listed: true
+        },
+        {
+            name: 'design-patterns',
+            title: '设计模式',
+            dir: './@articles',
+            path: '/series/design-patterns/',
+            order: 'index',
+            index: 'index.md',
+            listed: false,
+            cover: '/covers/wanxia001.jpg',
+            tags: ['设计模式'],
+            desc: 'GoF 23种经典设计模式详解，每种模式都配有Java实现示例与实际应用场景'
+        }
+    ]
+};